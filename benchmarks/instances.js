@@ -0,0 +1,120 @@
+// Benchmark instances: box lists (pack() items) with the container they are packed into.
+// Generated instances are fully determined by their seed, so a suite run packs the same
+// boxes every time.
+import { createRandom, deriveSeed } from '../src/packing/random.js';
+
+// Container and box size ranges of the Bischoff & Ratcliff (BR) instances: a 587 x 233 x 220
+// container and box edges drawn from 30-120, 25-100 and 20-80
+const BR_CONTAINER = { width: 587, height: 220, depth: 233 };
+const BR_RANGES = [[30, 120], [25, 100], [20, 80]];
+
+// Box types per BR class, from weakly (BR1) to strongly (BR7) heterogeneous
+export const BR_CLASS_TYPES = [3, 5, 8, 10, 12, 15, 20];
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Instance in the style of the BR classes: boxes of `types` kinds, drawn until the next
+ * box would take the load past the container volume. Each type either turns freely or
+ * stays upright. These follow the published generation scheme but are not the original
+ * OR-Library files, so their results are not BR results (load those with parseThpack).
+ * @param {number} brClass - 1 to 7
+ * @param {number} seed
+ */
+export function createBRStyleInstance(brClass, seed) {
+  const random = createRandom(deriveSeed(seed, brClass));
+  const types = Array.from({ length: BR_CLASS_TYPES[brClass - 1] }, (_, index) => {
+    const [width, depth, height] = BR_RANGES.map(([min, max]) => randomInt(random, min, max));
+    return { id: index + 1, width, height, depth, quantity: 0, rotation: random() < 0.5 ? 'any' : 'upright' };
+  });
+
+  const capacity = BR_CONTAINER.width * BR_CONTAINER.height * BR_CONTAINER.depth;
+  let volume = 0;
+  for (;;) {
+    const type = types[Math.floor(random() * types.length)];
+    const boxVolume = type.width * type.height * type.depth;
+    if (volume + boxVolume > capacity) break;
+    type.quantity++;
+    volume += boxVolume;
+  }
+
+  return { items: types.filter(type => type.quantity > 0), constraints: { ...BR_CONTAINER } };
+}
+
+/**
+ * Carton-sizing order with a few box types in large quantities
+ * @param {number} seed
+ * @param {Object} [options] - types, boxes (total count), size range of the edges
+ */
+export function createWeaklyHeterogeneous(seed, { types = 3, boxes = 40, minSize = 4, maxSize = 12 } = {}) {
+  return createOrder(createRandom(seed), types, boxes, minSize, maxSize);
+}
+
+/**
+ * Carton-sizing order where nearly every box is different
+ * @param {number} seed
+ * @param {Object} [options] - types, boxes (total count), size range of the edges
+ */
+export function createStronglyHeterogeneous(seed, { types = 30, boxes = 40, minSize = 2, maxSize = 14 } = {}) {
+  return createOrder(createRandom(seed), types, boxes, minSize, maxSize);
+}
+
+// Boxes of `types` random kinds, `boxes` in all, for a container sized by the search
+function createOrder(random, types, boxes, minSize, maxSize) {
+  const items = Array.from({ length: types }, (_, index) => ({
+    id: index + 1,
+    width: randomInt(random, minSize, maxSize),
+    height: randomInt(random, minSize, maxSize),
+    depth: randomInt(random, minSize, maxSize),
+    quantity: index < boxes ? 1 : 0,
+    rotation: 'any'
+  }));
+  for (let i = types; i < boxes; i++) {
+    items[Math.floor(random() * types)].quantity++;
+  }
+
+  return { items: items.filter(item => item.quantity > 0), constraints: { width: null, height: null, depth: null } };
+}
+
+/**
+ * Problems of an OR-Library thpack file (the original BR instances). The file holds
+ * the number of problems, then for each: its number and seed, the container length,
+ * width and height, the number of box types, and one line per type with its length,
+ * width and height, each followed by 1 if the box may stand on that edge, and the
+ * number of boxes.
+ * Boxes that may stand on every edge turn freely; otherwise they stand upright on the
+ * first edge allowed (stricter than the file when two of three are).
+ * @param {string} text
+ * @returns {Object[]} { number, items, constraints }
+ */
+export function parseThpack(text) {
+  const values = text.trim().split(/\s+/).map(Number);
+  let index = 0;
+  const next = (count = 1) => values.slice(index, index += count);
+
+  const [problemCount] = next();
+  return Array.from({ length: problemCount }, () => {
+    const [number] = next(2);
+    const [length, width, height] = next(3);
+    const [typeCount] = next();
+
+    const items = Array.from({ length: typeCount }, () => {
+      const [id, a, aUp, b, bUp, c, cUp, quantity] = next(8);
+      const edges = [[a, aUp], [b, bUp], [c, cUp]];
+      const allowed = edges.filter(([, up]) => up === 1).length;
+      const firstUp = edges.findIndex(([, up]) => up === 1);
+      const vertical = firstUp === -1 ? 2 : firstUp;
+      const [first, second] = edges.filter((_, i) => i !== vertical).map(([edge]) => edge);
+      return {
+        id,
+        width: first,
+        height: edges[vertical][0],
+        depth: second,
+        quantity,
+        rotation: allowed === 3 ? 'any' : 'upright'
+      };
+    });
+
+    return { number, items, constraints: { width: length, height, depth: width } };
+  });
+}
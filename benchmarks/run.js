@@ -0,0 +1,213 @@
+// Benchmark runner: packs every instance of the suite with the engine (pack(), on this
+// thread), records placed boxes, volume utilization and runtime, and compares them with
+// the stored baseline. Runs are seeded, so the same code always gives the same layouts;
+// any change in placed boxes or utilization comes from a change in the engine.
+//
+//   npm run bench                        run the suite and compare with the baseline
+//   npm run bench -- --update            run the suite and store the results as the baseline
+//   npm run bench -- --filter strong     only instances whose name matches a pattern
+//   npm run bench -- --thpack thpack1.txt  add the problems of an OR-Library BR file
+//
+// A few OR-Library BR problems (FIXTURES) run with the suite when their thpack files are
+// in benchmarks/fixtures/; a missing file is reported and its problems left out.
+//   npm run bench -- --tolerance 0.5     utilization drop (percentage points) still accepted
+//
+// Exit status: 0 when nothing got worse, 1 on a regression, 2 on bad arguments.
+// Runtimes are reported against the baseline but never fail a run: they depend on the machine.
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { pack } from '../src/index.js';
+import {
+  BR_CLASS_TYPES,
+  createBRStyleInstance,
+  createWeaklyHeterogeneous,
+  createStronglyHeterogeneous,
+  parseThpack
+} from './instances.js';
+
+const BASELINE_FILE = fileURLToPath(new URL('./baseline.json', import.meta.url));
+
+// Engine settings of every run: a fixed seed and no improvement phase, which keeps the
+// suite fast and its results exact
+const ENGINE_OPTIONS = { seed: 1, improvement: { method: 'none' } };
+
+// Slower than this against the baseline is pointed out
+const SLOWDOWN_WARNING = 1.5;
+
+// Generated instances; the BR problems of the suite are FIXTURES
+const SUITE = [
+  ...BR_CLASS_TYPES.map((_, index) => ({ name: `br-style-${index + 1}`, create: () => createBRStyleInstance(index + 1, 1) })),
+  ...[1, 2, 3].map(seed => ({ name: `weak-${seed}`, create: () => createWeaklyHeterogeneous(seed) })),
+  ...[1, 2, 3].map(seed => ({ name: `strong-${seed}`, create: () => createStronglyHeterogeneous(seed) }))
+];
+
+// OR-Library BR problems of the suite: the first three of the weakly (BR1) and of the
+// strongly heterogeneous (BR7) class, from the files in FIXTURES_DIR
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+const FIXTURES = [
+  { file: 'thpack1.txt', problems: [1, 2, 3] },
+  { file: 'thpack7.txt', problems: [1, 2, 3] }
+];
+
+async function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        update: { type: 'boolean' },
+        filter: { type: 'string' },
+        thpack: { type: 'string', multiple: true },
+        tolerance: { type: 'string' },
+        baseline: { type: 'string' }
+      }
+    }));
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const tolerance = values.tolerance === undefined ? 0 : Number(values.tolerance);
+  if (!(tolerance >= 0)) {
+    console.error(`Expected a tolerance of 0 or more: ${values.tolerance}`);
+    return 2;
+  }
+
+  const instances = [...SUITE];
+  for (const { file, problems } of FIXTURES) {
+    try {
+      instances.push(...await readThpack(join(FIXTURES_DIR, file), problems));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.log(`${file} is not in ${FIXTURES_DIR}: problems ${problems.join(', ')} left out`);
+    }
+  }
+  for (const file of values.thpack || []) {
+    instances.push(...await readThpack(file));
+  }
+
+  const pattern = values.filter ? new RegExp(values.filter) : null;
+  const selected = instances.filter(instance => !pattern || pattern.test(instance.name));
+  const baselineFile = values.baseline || BASELINE_FILE;
+  const baseline = values.update ? {} : await readBaseline(baselineFile);
+
+  const results = {};
+  let regressions = 0;
+  console.log(formatRow(['instance', 'placed', 'util %', 'Δ util', 'time ms', '× time', '']));
+
+  for (const instance of selected) {
+    const result = await runInstance(instance);
+    results[instance.name] = result;
+
+    const previous = baseline[instance.name];
+    const { status, isRegression } = compare(result, previous, tolerance);
+    if (isRegression) regressions++;
+
+    console.log(formatRow([
+      instance.name,
+      `${result.placed}/${result.total}`,
+      result.utilization.toFixed(2),
+      previous ? signed(result.utilization - previous.utilization) : '',
+      String(result.timeMs),
+      previous ? `${(result.timeMs / previous.timeMs).toFixed(2)}` : '',
+      status
+    ]));
+  }
+
+  printSummary(results, baseline);
+
+  if (values.update) {
+    // Instances left out by --filter keep their stored results
+    const stored = await readBaseline(baselineFile);
+    await writeFile(baselineFile, `${JSON.stringify({ ...stored, ...results }, null, 2)}\n`);
+    console.log(`\nBaseline written to ${baselineFile}`);
+    return 0;
+  }
+
+  if (regressions > 0) {
+    console.log(`\n${regressions} instance${regressions === 1 ? '' : 's'} got worse`);
+    return 1;
+  }
+  return 0;
+}
+
+// Instances of the problems of a thpack file (all of them when numbers is not given),
+// named after the file
+async function readThpack(file, numbers) {
+  const name = basename(file).replace(/\.[^.]*$/, '');
+  return parseThpack(await readFile(file, 'utf8'))
+    .filter(problem => !numbers || numbers.includes(problem.number))
+    .map(problem => ({ name: `${name}-${problem.number}`, create: () => problem }));
+}
+
+async function runInstance(instance) {
+  const { items, constraints } = instance.create();
+  const startTime = performance.now();
+  const result = await pack(items, { ...ENGINE_OPTIONS, constraints });
+
+  return {
+    placed: result.stats.placedCount,
+    total: result.stats.totalBoxes,
+    utilization: result.stats.volumeUtilization,
+    timeMs: Math.round(performance.now() - startTime)
+  };
+}
+
+// Status of a result against its baseline entry
+function compare(result, previous, tolerance) {
+  if (!previous) return { status: 'new', isRegression: false };
+
+  if (result.placed < previous.placed || result.utilization < previous.utilization - tolerance - 1e-9) {
+    return { status: 'WORSE', isRegression: true };
+  }
+
+  const notes = [];
+  if (result.placed > previous.placed || result.utilization > previous.utilization + 1e-9) notes.push('better');
+  if (result.timeMs > previous.timeMs * SLOWDOWN_WARNING) notes.push('slower');
+  return { status: notes.join(', '), isRegression: false };
+}
+
+function printSummary(results, baseline) {
+  const names = Object.keys(results);
+  if (names.length === 0) return;
+
+  const mean = (list, key) => list.reduce((sum, result) => sum + result[key], 0) / list.length;
+  const current = names.map(name => results[name]);
+  console.log(`\nmean utilization ${mean(current, 'utilization').toFixed(2)}%, ` +
+    `total time ${current.reduce((sum, result) => sum + result.timeMs, 0)} ms`);
+
+  // Against the baseline, over the instances both runs have
+  const shared = names.filter(name => baseline[name]);
+  if (shared.length > 0) {
+    const before = shared.map(name => baseline[name]);
+    const after = shared.map(name => results[name]);
+    console.log(`baseline ${mean(before, 'utilization').toFixed(2)}% over ${shared.length} instances ` +
+      `(${signed(mean(after, 'utilization') - mean(before, 'utilization'))} points)`);
+  }
+}
+
+async function readBaseline(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+const WIDTHS = [14, 10, 8, 8, 9, 8, 0];
+function formatRow(cells) {
+  return cells.map((cell, i) => (i === 0 ? cell.padEnd(WIDTHS[i]) : cell.padStart(WIDTHS[i]))).join(' ').trimEnd();
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(err);
+    process.exitCode = 2;
+  }
+);
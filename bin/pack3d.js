@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// Command-line packing: runs the optimizer engine on an order file, without a browser.
+// The order is either a configuration saved from the app (JSON) or a CSV with one box
+// definition per row; options on the command line override the file's settings.
+// The result is written as JSON. Exit codes: 0 every box placed, 1 some boxes could
+// not be placed (or no packing was found), 2 bad arguments or an unreadable order.
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { AppState } from '../src/state/AppState.js';
+import { UNITS } from '../src/state/units.js';
+import { getStrategy } from '../src/packing/strategies.js';
+import { OBJECTIVES } from '../src/packing/objectives.js';
+import { IMPROVEMENT_METHODS } from '../src/packing/ImprovementSearch.js';
+import { pack } from '../src/index.js';
+
+const USAGE = `Usage: pack3d <order.json|order.csv|-> [options]
+
+The order is a configuration saved from the app, or a CSV with a header row and one
+box per row (columns: width, height, depth, quantity, weight, maxLoad, rotation,
+stackable, onlyOnSameType, maxStack, stop, shape, id; width, height and depth are
+required and positive, quantity a whole number of 1 or more). "-" reads the order from
+standard input.
+
+Options:
+  -o, --output FILE      write the result to FILE instead of standard output
+  -f, --format FORMAT    json or csv (default: from the file extension, else json)
+  -u, --units UNIT       ${Object.keys(UNITS).join(', ')}: the unit of a CSV order's lengths;
+                         a JSON order is converted to it
+      --width N          fix the container width (likewise --height, --depth)
+      --height N
+      --depth N
+      --strategy NAME    packing strategy, or auto
+      --objective NAME   ${Object.keys(OBJECTIVES).filter(name => OBJECTIVES[name].weights).join(', ')}
+      --seed N           random seed, to repeat a run exactly
+      --time-limit S     stop the optimization after S seconds
+      --improvement M    ${Object.keys(IMPROVEMENT_METHODS).join(', ')}
+      --progress         report progress on standard error
+  -h, --help             show this help
+
+Exit status: 0 when every box was placed, 1 when some were not, 2 on bad input.`;
+
+// Box definition columns of a CSV order and how their values are read
+const CSV_COLUMNS = {
+  id: 'number',
+  shape: 'text',
+  width: 'size',
+  height: 'size',
+  depth: 'size',
+  quantity: 'count',
+  weight: 'number',
+  maxLoad: 'number',
+  rotation: 'text',
+  stackable: 'boolean',
+  onlyOnSameType: 'boolean',
+  maxStack: 'number',
+  stop: 'number'
+};
+
+// Bad arguments or order files; reported with exit status 2
+class InputError extends Error {}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        units: { type: 'string', short: 'u' },
+        width: { type: 'string' },
+        height: { type: 'string' },
+        depth: { type: 'string' },
+        strategy: { type: 'string' },
+        objective: { type: 'string' },
+        seed: { type: 'string' },
+        'time-limit': { type: 'string' },
+        improvement: { type: 'string' },
+        progress: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    throw new InputError(err.message);
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw new InputError('Expected one order file');
+  }
+
+  const appState = loadOrder(await readOrder(positionals[0], values.format), values);
+  const onProgress = values.progress
+    ? ({ message, progress }) => process.stderr.write(`[${String(progress).padStart(3)}%] ${message}\n`)
+    : undefined;
+
+  let output;
+  try {
+    const result = await pack(appState.boxes, appState.getPackOptions(), { onProgress });
+    output = describeResult(result, appState.units);
+  } catch (err) {
+    // pack() turns away bad boxes and option names with a TypeError or RangeError
+    if (err instanceof TypeError || err instanceof RangeError) throw new InputError(err.message);
+    output = { success: false, error: err.message };
+  }
+
+  const json = JSON.stringify(output, null, 2);
+  if (values.output) {
+    await writeFile(values.output, `${json}\n`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+
+  return output.success && output.allPlaced ? 0 : 1;
+}
+
+async function readOrder(path, format) {
+  const type = format || (extname(path).toLowerCase() === '.csv' ? 'csv' : 'json');
+  if (type !== 'json' && type !== 'csv') {
+    throw new InputError(`Unknown order format: ${type}`);
+  }
+
+  let text;
+  try {
+    text = path === '-' ? await readStream(process.stdin) : await readFile(path, 'utf8');
+  } catch (err) {
+    throw new InputError(`Cannot read ${path}: ${err.message}`);
+  }
+
+  if (type === 'csv') {
+    return { config: { boxes: parseBoxesCsv(text) }, isCsv: true };
+  }
+  try {
+    return { config: JSON.parse(text), isCsv: false };
+  } catch (err) {
+    throw new InputError(`${path} is not valid JSON: ${err.message}`);
+  }
+}
+
+async function readStream(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+// App state for an order, with the command-line options applied
+function loadOrder({ config, isCsv }, values) {
+  const appState = new AppState();
+  if (values.units && !UNITS[values.units]) {
+    throw new InputError(`Unknown unit: ${values.units}`);
+  }
+
+  try {
+    // CSV lengths are in the given unit; a saved configuration carries its own
+    appState.loadConfig(isCsv && values.units ? { ...config, units: values.units } : config);
+  } catch (err) {
+    throw new InputError(err.message);
+  }
+  if (values.units && appState.units !== values.units) {
+    appState.setUnits(values.units);
+  }
+
+  ['width', 'height', 'depth'].forEach(dim => {
+    if (values[dim] !== undefined) appState.containerConstraints[dim] = parsePositive(values[dim], `--${dim}`);
+  });
+  if (values.strategy) {
+    if (values.strategy !== 'auto' && !getStrategy(values.strategy)) {
+      throw new InputError(`Unknown packing strategy: ${values.strategy}`);
+    }
+    appState.packingStrategy = values.strategy;
+  }
+  if (values.objective) {
+    if (!OBJECTIVES[values.objective] || !OBJECTIVES[values.objective].weights) {
+      throw new InputError(`Unknown optimization objective: ${values.objective}`);
+    }
+    appState.objective = { ...appState.objective, name: values.objective };
+  }
+  if (values.seed !== undefined) appState.seed = parseNumber(values.seed, '--seed');
+  if (values['time-limit'] !== undefined) appState.timeBudgetSeconds = parsePositive(values['time-limit'], '--time-limit');
+  if (values.improvement) {
+    if (!IMPROVEMENT_METHODS[values.improvement]) {
+      throw new InputError(`Unknown improvement method: ${values.improvement}`);
+    }
+    appState.improvement = { ...appState.improvement, method: values.improvement };
+  }
+
+  if (appState.boxes.length === 0) {
+    throw new InputError('The order has no boxes');
+  }
+  return appState;
+}
+
+// The run's layout and result figures, plus the boxes that did not fit
+function describeResult(result, units) {
+  return {
+    success: true,
+    allPlaced: result.unplacedBoxes.length === 0,
+    units,
+    container: result.container,
+    containers: result.containers,
+    stats: result.stats,
+    placedBoxes: result.placedBoxes,
+    unplacedBoxes: result.unplacedBoxes
+  };
+}
+
+// Box definitions from CSV text; ids default to the row number
+function parseBoxesCsv(text) {
+  const [header, ...rows] = parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+  if (!header) {
+    throw new InputError('The CSV order is empty');
+  }
+
+  const columns = header.map(name => {
+    const key = Object.keys(CSV_COLUMNS).find(column => column.toLowerCase() === name.trim().toLowerCase());
+    if (!key) throw new InputError(`Unknown CSV column: ${name}`);
+    return key;
+  });
+  ['width', 'height', 'depth'].forEach(column => {
+    if (!columns.includes(column)) throw new InputError(`The CSV order has no ${column} column`);
+  });
+
+  return rows.map((row, index) => {
+    const box = { id: index + 1, quantity: 1 };
+    columns.forEach((column, i) => {
+      const value = (row[i] || '').trim();
+      // Empty cells keep the default
+      if (value !== '') box[column] = parseCell(value, CSV_COLUMNS[column], `row ${index + 2}, ${column}`);
+    });
+    return box;
+  });
+}
+
+function parseCell(value, type, where) {
+  if (type === 'number') return parseNumber(value, where);
+  if (type === 'size') return parsePositive(value, where);
+  if (type === 'count') {
+    const count = parseNumber(value, where);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new InputError(`Expected a whole number of 1 or more for ${where}: ${value}`);
+    }
+    return count;
+  }
+  if (type === 'boolean') {
+    const flag = value.toLowerCase();
+    if (['true', 'yes', '1'].includes(flag)) return true;
+    if (['false', 'no', '0'].includes(flag)) return false;
+    throw new InputError(`Expected true or false at ${where}: ${value}`);
+  }
+  return value;
+}
+
+function parseNumber(value, where) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new InputError(`Expected a number for ${where}: ${value}`);
+  }
+  return number;
+}
+
+function parsePositive(value, where) {
+  const number = parseNumber(value, where);
+  if (number <= 0) {
+    throw new InputError(`Expected a positive number for ${where}: ${value}`);
+  }
+  return number;
+}
+
+// Rows of cells; fields may be quoted, with "" for a quote inside
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`pack3d: ${err.message}`);
+    process.exitCode = 2;
+    if (!(err instanceof InputError)) console.error(err.stack);
+  }
+);
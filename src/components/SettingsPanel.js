@@ -1,3 +1,16 @@
+import { getStrategy, getStrategyNames } from '../packing/strategies.js';
+import { IMPROVEMENT_METHODS } from '../packing/ImprovementSearch.js';
+import { OBJECTIVES, OBJECTIVE_MEASURES, describeObjective } from '../packing/objectives.js';
+import { ROTATION_RULES, CYLINDER_RULES, getOrientationLabel } from '../packing/orientations.js';
+import { UNITS, formatDimensions, formatLength, formatVolume } from '../state/units.js';
+
+const DOOR_FACES = {
+  front: 'Front (+Z)',
+  back: 'Back (−Z)',
+  left: 'Left (−X)',
+  right: 'Right (+X)'
+};
+
 export class SettingsPanel {
   constructor(container, appState) {
     this.container = container;
@@ -18,16 +31,26 @@ export class SettingsPanel {
   }
   
   render() {
-    const { boxes } = this.appState;
+    const { boxes, containerCatalog, containerMode, keepOutZones, units } = this.appState;
     
     // Check if we need a full re-render (structure changed) or just an update (values changed)
     const currentRenderState = {
       boxCount: boxes.length,
+      catalogCount: containerCatalog.length,
+      zoneCount: keepOutZones.length,
+      boxShapes: boxes.map(box => box.shape).join(),
+      containerMode,
+      units,
       uiStateJSON: JSON.stringify(this.uiState)
     };
     
     const needsFullRender = 
       currentRenderState.boxCount !== this.lastRenderState.boxCount ||
+      currentRenderState.catalogCount !== this.lastRenderState.catalogCount ||
+      currentRenderState.zoneCount !== this.lastRenderState.zoneCount ||
+      currentRenderState.boxShapes !== this.lastRenderState.boxShapes ||
+      currentRenderState.containerMode !== this.lastRenderState.containerMode ||
+      currentRenderState.units !== this.lastRenderState.units ||
       currentRenderState.uiStateJSON !== this.lastRenderState.uiStateJSON ||
       !this.container.hasChildNodes(); // First run
       
@@ -44,15 +67,12 @@ export class SettingsPanel {
     const focusedEl = document.activeElement;
     const focusedId = focusedEl ? focusedEl.id : null;
     
-    const { container, containerConstraints, boxes } = this.appState;
+    const { containerConstraints, boxes, containerCatalog, containerMode, units } = this.appState;
+    const dimensionAttributes = this.getDimensionAttributes();
     const constrainedCount = this.appState.getConstrainedDimensionCount();
     
     // Calculate max box dimensions
-    const maxBoxDims = {
-      width: Math.max(...boxes.map(b => b.width)),
-      height: Math.max(...boxes.map(b => b.height)),
-      depth: Math.max(...boxes.map(b => b.depth))
-    };
+    const maxBoxDims = this.getMaxBoxDims();
     
     // Check which constraints are invalid
     const invalidConstraints = this.getInvalidConstraints(containerConstraints, maxBoxDims);
@@ -61,19 +81,37 @@ export class SettingsPanel {
       <h2>Pack3D Settings</h2>
 
       <div class="optimized-result" style="margin-bottom: 12px; margin-top: 0; background-color: ${this.appState.optimizationStats ? '#1e3a5f' : '#2a2a2a'}; border-color: ${this.appState.optimizationStats ? '#3b82f6' : '#4a4a4a'};">
-        ${this.appState.optimizationStats ? 
-          `<strong>Optimized Container:</strong> ${container.width} × ${container.height} × ${container.depth}` :
-          `<span style="color: #9ca3af; font-style: italic;">Click Optimize to find the best box size</span>`
-        }
+        ${this.renderResultSummary()}
       </div>
 
       <button class="optimize-btn" id="optimize-btn" ${this.appState.isOptimizing ? 'disabled' : ''} 
-              style="margin-bottom: 20px;">
+              style="margin-bottom: 8px;">
         ${this.appState.isOptimizing ? 'Optimizing...' : 'Optimize Packing'}
       </button>
 
+      <div class="config-actions">
+        <button id="save-config-btn">Save Config</button>
+        <button id="load-config-btn">Load Config</button>
+        <input type="file" id="load-config-input" accept=".json,application/json" style="display: none;">
+      </div>
+
+      <div class="constraint-group">
+        <label for="units">Units</label>
+        <select id="units">
+          ${Object.entries(UNITS).map(([value, unit]) => `
+            <option value="${value}" ${value === units ? 'selected' : ''}>${unit.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="constraint-group">
+        <label for="rounding-increment">Round container up to</label>
+        <select id="rounding-increment">
+          ${this.renderIncrementOptions()}
+        </select>
+      </div>
+
       <div class="section-header ${this.uiState.boxesOpen ? '' : 'collapsed'}" id="toggle-boxes">
-        <h3>Boxes</h3>
+        <h3>Boxes (${units})</h3>
         <span class="toggle-icon">▼</span>
       </div>
 
@@ -91,18 +129,55 @@ export class SettingsPanel {
       </div>
       
       <div class="section-header ${this.uiState.constraintsOpen ? '' : 'collapsed'}" id="toggle-constraints">
-        <h3>Container Size</h3>
+        <h3>Container Size (${units})</h3>
         <span class="toggle-icon">▼</span>
       </div>
       
       <div class="collapsible-content ${this.uiState.constraintsOpen ? '' : 'collapsed'}" id="constraints-content">
+        <div class="mode-toggle">
+          <button class="mode-btn ${containerMode === 'custom' ? 'active' : ''}" id="container-mode-custom">Custom Size</button>
+          <button class="mode-btn ${containerMode === 'catalog' ? 'active' : ''}" id="container-mode-catalog">Stock Catalog</button>
+        </div>
+
+        <div class="constraint-group">
+          <label for="container-door">Door</label>
+          <select id="container-door">
+            ${Object.entries(DOOR_FACES).map(([value, label]) => `
+              <option value="${value}" ${value === this.appState.containerDoor ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="constraint-group">
+          <label for="box-gap">Gap between boxes (${units})</label>
+          <input type="number" id="box-gap" value="${this.appState.clearance.boxGap}" min="0" step="any">
+        </div>
+        <div class="constraint-group">
+          <label for="wall-clearance">Wall clearance (${units})</label>
+          <input type="number" id="wall-clearance" value="${this.appState.clearance.wallClearance}" min="0" step="any">
+        </div>
+        <div class="constraint-group">
+          <input type="checkbox" id="report-void-fill" ${this.appState.clearance.reportVoidFill ? 'checked' : ''}>
+          <label for="report-void-fill">Report void fill (dunnage) volume</label>
+        </div>
+
+        <div class="catalog-section" style="display: ${containerMode === 'catalog' ? 'block' : 'none'};">
+          <p class="help-text">The cheapest stock container, or combination of containers, that holds every box is chosen.</p>
+          <div class="box-list" id="catalog-list">
+            ${containerCatalog.map(entry => this.renderCatalogItem(entry)).join('')}
+          </div>
+          <button class="add-box-btn" id="add-catalog-btn">
+            <span>+</span> Add Container Type
+          </button>
+        </div>
+
+        <div class="custom-size-section" style="display: ${containerMode === 'custom' ? 'block' : 'none'};">
         <p class="help-text">Lock dimensions to constrain size. Unlocked = Auto.</p>
         <div class="container-size-row">
           <span class="box-label">W:</span>
           <input type="number" id="container-width" 
                  value="${containerConstraints.width !== null ? containerConstraints.width : ''}" 
-                 min="1" 
-                 step="0.0625"
+                 ${dimensionAttributes}
                  placeholder="Auto"
                  ${containerConstraints.width === null ? 'disabled' : ''}>
           <button class="constraint-lock ${containerConstraints.width !== null ? 'locked' : ''}" 
@@ -114,8 +189,7 @@ export class SettingsPanel {
           <span class="box-label">H:</span>
           <input type="number" id="container-height" 
                  value="${containerConstraints.height !== null ? containerConstraints.height : ''}" 
-                 min="1" 
-                 step="0.0625"
+                 ${dimensionAttributes}
                  placeholder="Auto"
                  ${containerConstraints.height === null ? 'disabled' : ''}>
           <button class="constraint-lock ${containerConstraints.height !== null ? 'locked' : ''}" 
@@ -127,8 +201,7 @@ export class SettingsPanel {
           <span class="box-label">D:</span>
           <input type="number" id="container-depth" 
                  value="${containerConstraints.depth !== null ? containerConstraints.depth : ''}" 
-                 min="1" 
-                 step="0.0625"
+                 ${dimensionAttributes}
                  placeholder="Auto"
                  ${containerConstraints.depth === null ? 'disabled' : ''}>
           <button class="constraint-lock ${containerConstraints.depth !== null ? 'locked' : ''}" 
@@ -138,10 +211,31 @@ export class SettingsPanel {
           </button>
         </div>
 
+        <div class="constraint-group">
+          <label for="container-payload">Max payload</label>
+          <input type="number" id="container-payload" value="${this.appState.containerPayload !== null ? this.appState.containerPayload : ''}"
+                 min="0" step="any" placeholder="No limit">
+        </div>
+
+        <div class="constraint-group">
+          <input type="checkbox" id="multi-container" ${this.appState.multiContainer ? 'checked' : ''}
+                 ${constrainedCount === 3 ? '' : 'disabled'}>
+          <label for="multi-container">Open more containers when full (lock W, H and D)</label>
+        </div>
+
+        <p class="help-text">Keep-out zones (wheel arches, posts), measured from the back-left floor corner.</p>
+        <div class="box-list" id="zone-list">
+          ${this.appState.keepOutZones.map(zone => this.renderZoneItem(zone)).join('')}
+        </div>
+        <button class="add-box-btn" id="add-zone-btn">
+          <span>+</span> Add Keep-out Zone
+        </button>
+
         <div class="constraint-warnings" id="constraint-warnings">
-          ${invalidConstraints.width ? `<div class="warning-msg">W must be ≥ ${maxBoxDims.width}</div>` : ''}
-          ${invalidConstraints.height ? `<div class="warning-msg">H must be ≥ ${maxBoxDims.height}</div>` : ''}
-          ${invalidConstraints.depth ? `<div class="warning-msg">D must be ≥ ${maxBoxDims.depth}</div>` : ''}
+          ${invalidConstraints.width ? `<div class="warning-msg">W must be ≥ ${formatLength(maxBoxDims.width, this.appState.units)}</div>` : ''}
+          ${invalidConstraints.height ? `<div class="warning-msg">H must be ≥ ${formatLength(maxBoxDims.height, this.appState.units)}</div>` : ''}
+          ${invalidConstraints.depth ? `<div class="warning-msg">D must be ≥ ${formatLength(maxBoxDims.depth, this.appState.units)}</div>` : ''}
+        </div>
         </div>
       </div>
       
@@ -152,9 +246,59 @@ export class SettingsPanel {
 
       <div class="collapsible-content ${this.uiState.optimizationOpen ? '' : 'collapsed'}">
         <div class="constraint-group">
-          <input type="checkbox" id="allow-rotation" ${this.appState.allowRotation ? 'checked' : ''}>
-          <label for="allow-rotation">Allow Box Rotation (90° steps)</label>
+          <input type="checkbox" id="delivery-mode" ${this.appState.deliveryMode ? 'checked' : ''}>
+          <label for="delivery-mode">Multi-stop delivery (last stop loaded first)</label>
+        </div>
+        <div class="constraint-group">
+          <label for="packing-strategy">Strategy</label>
+          <select id="packing-strategy">
+            ${this.renderStrategyOptions()}
+          </select>
+        </div>
+        <div class="constraint-group">
+          <label for="objective">Objective</label>
+          <select id="objective">
+            ${Object.entries(OBJECTIVES).map(([value, objective]) => `
+              <option value="${value}" ${value === this.appState.objective.name ? 'selected' : ''}>${objective.label}</option>
+            `).join('')}
+          </select>
+        </div>
+        ${Object.entries(OBJECTIVE_MEASURES).map(([measure, { label }]) => `
+        <div class="constraint-group">
+          <label for="objective-weight-${measure}">Weight: ${label}</label>
+          <input type="number" id="objective-weight-${measure}" value="${this.appState.objective.weights[measure]}" min="0" step="any"
+                 ${this.appState.objective.name !== 'weighted' ? 'disabled' : ''}>
+        </div>
+        `).join('')}
+        <div class="constraint-group">
+          <label for="time-budget">Time limit (s)</label>
+          <input type="number" id="time-budget" value="${this.appState.timeBudgetSeconds !== null ? this.appState.timeBudgetSeconds : ''}" min="1" step="1" placeholder="No limit"
+                 title="Stop the whole optimization after this long and keep the best layout found">
+        </div>
+        <div class="constraint-group">
+          <label for="random-seed">Seed</label>
+          <input type="number" id="random-seed" value="${this.appState.seed !== null ? this.appState.seed : ''}" min="0" max="4294967295" step="1" placeholder="Random"
+                 title="Run with this seed to repeat an earlier result exactly">
+        </div>
+        <div class="constraint-group">
+          <label for="improvement-method">Improve</label>
+          <select id="improvement-method">
+            ${Object.entries(IMPROVEMENT_METHODS).map(([value, label]) => `
+              <option value="${value}" ${value === this.appState.improvement.method ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="constraint-group">
+          <label for="improvement-time">Time budget (s)</label>
+          <input type="number" id="improvement-time" value="${this.appState.improvement.timeLimitSeconds !== null ? this.appState.improvement.timeLimitSeconds : ''}" min="1" max="600" step="1" placeholder="No limit"
+                 ${this.appState.improvement.method === 'none' ? 'disabled' : ''}>
+        </div>
+        <div class="constraint-group">
+          <label for="improvement-iterations">Iterations</label>
+          <input type="number" id="improvement-iterations" value="${this.appState.improvement.iterations}" min="10" max="100000" step="10"
+                 ${this.appState.improvement.method === 'none' ? 'disabled' : ''}>
         </div>
+        ${this.renderBalanceSettings()}
       </div>
       
       <div id="status-container">
@@ -174,7 +318,7 @@ export class SettingsPanel {
   }
 
   updateValues() {
-    const { container, containerConstraints, boxes } = this.appState;
+    const { containerConstraints, boxes } = this.appState;
     const activeId = document.activeElement ? document.activeElement.id : null;
 
     // Update Optimization Result
@@ -182,9 +326,7 @@ export class SettingsPanel {
     if (sortedResult) {
        sortedResult.style.backgroundColor = this.appState.optimizationStats ? '#1e3a5f' : '#2a2a2a';
        sortedResult.style.borderColor = this.appState.optimizationStats ? '#3b82f6' : '#4a4a4a';
-       sortedResult.innerHTML = this.appState.optimizationStats ? 
-          `<strong>Optimized Container:</strong> ${container.width} × ${container.height} × ${container.depth}` :
-          `<span style="color: #9ca3af; font-style: italic;">Click Optimize to find the best box size</span>`;
+       sortedResult.innerHTML = this.renderResultSummary();
     }
 
     // Update Optimize Button
@@ -196,13 +338,30 @@ export class SettingsPanel {
 
     // Update Box Inputs
     boxes.forEach(box => {
-      ['width', 'height', 'depth', 'quantity'].forEach(field => {
+      ['width', 'height', 'depth', 'quantity', 'weight', 'maxLoad', 'maxStack', 'stop'].forEach(field => {
         const id = `box-${box.id}-${field}`;
         const input = document.getElementById(id);
         // Only update if not currently focused to avoid interfering with typing
         // Although listeners set state on change (blur/enter), so typing shouldn't be out of sync
         if (input && document.activeElement !== input) {
-            input.value = box[field];
+            input.value = box[field] !== null ? box[field] : '';
+        }
+      });
+      
+      const rotationSelect = document.getElementById(`box-${box.id}-rotation`);
+      if (rotationSelect) {
+          rotationSelect.value = box.rotation;
+      }
+      
+      const shapeSelect = document.getElementById(`box-${box.id}-shape`);
+      if (shapeSelect) {
+          shapeSelect.value = box.shape;
+      }
+      
+      ['stackable', 'onlyOnSameType'].forEach(field => {
+        const checkbox = document.getElementById(`box-${box.id}-${field}`);
+        if (checkbox) {
+            checkbox.checked = box[field];
         }
       });
     });
@@ -234,26 +393,147 @@ export class SettingsPanel {
     });
 
     // Update Warnings
-    const maxBoxDims = {
-      width: Math.max(...boxes.map(b => b.width)),
-      height: Math.max(...boxes.map(b => b.height)),
-      depth: Math.max(...boxes.map(b => b.depth))
-    };
+    const maxBoxDims = this.getMaxBoxDims();
     const invalidConstraints = this.getInvalidConstraints(containerConstraints, maxBoxDims);
     const warningsContainer = document.getElementById('constraint-warnings');
     if (warningsContainer) {
        warningsContainer.innerHTML = `
-          ${invalidConstraints.width ? `<div class="warning-msg">W must be ≥ ${maxBoxDims.width}</div>` : ''}
-          ${invalidConstraints.height ? `<div class="warning-msg">H must be ≥ ${maxBoxDims.height}</div>` : ''}
-          ${invalidConstraints.depth ? `<div class="warning-msg">D must be ≥ ${maxBoxDims.depth}</div>` : ''}
+          ${invalidConstraints.width ? `<div class="warning-msg">W must be ≥ ${formatLength(maxBoxDims.width, this.appState.units)}</div>` : ''}
+          ${invalidConstraints.height ? `<div class="warning-msg">H must be ≥ ${formatLength(maxBoxDims.height, this.appState.units)}</div>` : ''}
+          ${invalidConstraints.depth ? `<div class="warning-msg">D must be ≥ ${formatLength(maxBoxDims.depth, this.appState.units)}</div>` : ''}
        `;
     }
     
-    // Update Rotation
-    const rotCheck = document.getElementById('allow-rotation');
-    if (rotCheck) {
-        rotCheck.checked = this.appState.allowRotation;
+    // Update Payload
+    const payloadInput = document.getElementById('container-payload');
+    if (payloadInput && document.activeElement !== payloadInput) {
+        payloadInput.value = this.appState.containerPayload !== null ? this.appState.containerPayload : '';
+    }
+    
+    // Update Keep-out Zones
+    this.appState.keepOutZones.forEach(zone => {
+      ['x', 'y', 'z', 'width', 'height', 'depth'].forEach(field => {
+        const input = document.getElementById(`zone-${zone.id}-${field}`);
+        if (input && document.activeElement !== input) {
+            input.value = zone[field];
+        }
+      });
+      const allowCheck = document.getElementById(`zone-${zone.id}-allowOnTop`);
+      if (allowCheck) {
+          allowCheck.checked = zone.allowOnTop;
+      }
+    });
+    
+    // Update Catalog Inputs
+    this.appState.containerCatalog.forEach(entry => {
+      ['name', 'width', 'height', 'depth', 'cost', 'maxPayload'].forEach(field => {
+        const input = document.getElementById(`catalog-${entry.id}-${field}`);
+        if (input && document.activeElement !== input) {
+            input.value = entry[field] !== null ? entry[field] : '';
+        }
+      });
+    });
+    
+    // Update Multi-Container
+    const multiCheck = document.getElementById('multi-container');
+    if (multiCheck) {
+        multiCheck.checked = this.appState.multiContainer;
+        multiCheck.disabled = this.appState.getConstrainedDimensionCount() !== 3;
+    }
+    
+    // Update Clearances
+    const { boxGap, wallClearance, reportVoidFill } = this.appState.clearance;
+    [['box-gap', boxGap], ['wall-clearance', wallClearance]].forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input && document.activeElement !== input) {
+            input.value = value;
+        }
+    });
+    const voidFillCheck = document.getElementById('report-void-fill');
+    if (voidFillCheck) {
+        voidFillCheck.checked = reportVoidFill;
+    }
+    
+    // Update Rounding (a loaded file may bring a step that is not in the list)
+    const incrementSelect = document.getElementById('rounding-increment');
+    if (incrementSelect) {
+        incrementSelect.innerHTML = this.renderIncrementOptions();
+    }
+    
+    // Update Door and Delivery Mode
+    const doorSelect = document.getElementById('container-door');
+    if (doorSelect) {
+        doorSelect.value = this.appState.containerDoor;
+    }
+    const deliveryCheck = document.getElementById('delivery-mode');
+    if (deliveryCheck) {
+        deliveryCheck.checked = this.appState.deliveryMode;
+    }
+    
+    // Update Strategy
+    const strategySelect = document.getElementById('packing-strategy');
+    if (strategySelect) {
+        strategySelect.value = this.appState.packingStrategy;
+    }
+    
+    // Update Objective
+    const { name: objectiveName, weights } = this.appState.objective;
+    const objectiveSelect = document.getElementById('objective');
+    if (objectiveSelect) {
+        objectiveSelect.value = objectiveName;
+    }
+    Object.keys(OBJECTIVE_MEASURES).forEach(measure => {
+        const input = document.getElementById(`objective-weight-${measure}`);
+        if (input) {
+            if (document.activeElement !== input) input.value = weights[measure];
+            input.disabled = objectiveName !== 'weighted';
+        }
+    });
+    
+    // Update Time Limit
+    const timeBudgetInput = document.getElementById('time-budget');
+    if (timeBudgetInput && document.activeElement !== timeBudgetInput) {
+        timeBudgetInput.value = this.appState.timeBudgetSeconds !== null ? this.appState.timeBudgetSeconds : '';
+    }
+    
+    // Update Seed
+    const seedInput = document.getElementById('random-seed');
+    if (seedInput && document.activeElement !== seedInput) {
+        seedInput.value = this.appState.seed !== null ? this.appState.seed : '';
+    }
+    
+    // Update Improvement
+    const { method, timeLimitSeconds, iterations } = this.appState.improvement;
+    const methodSelect = document.getElementById('improvement-method');
+    if (methodSelect) {
+        methodSelect.value = method;
     }
+    [['improvement-time', timeLimitSeconds], ['improvement-iterations', iterations]].forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            if (document.activeElement !== input) input.value = value !== null ? value : '';
+            input.disabled = method === 'none';
+        }
+    });
+    
+    // Update Weight Distribution
+    const { balance } = this.appState;
+    const balanceCheck = document.getElementById('balance-enabled');
+    if (balanceCheck) {
+        balanceCheck.checked = balance.enabled;
+    }
+    const axlesCheck = document.getElementById('balance-axles');
+    if (axlesCheck) {
+        axlesCheck.checked = balance.axlesEnabled;
+        axlesCheck.disabled = !balance.enabled;
+    }
+    this.getBalanceFields().forEach(({ id, field, axle }) => {
+        const input = document.getElementById(id);
+        if (input) {
+            if (document.activeElement !== input) input.value = balance[field] !== null ? balance[field] : '';
+            input.disabled = !balance.enabled || (axle && !balance.axlesEnabled);
+        }
+    });
     
     // Update Status
     const statusContainer = document.getElementById('status-container');
@@ -265,23 +545,237 @@ export class SettingsPanel {
   renderBoxItem(box) {
     return `
       <div class="box-item" data-box-id="${box.id}">
+        ${box.shape === 'cylinder' ? this.renderCylinderDimensions(box) : this.renderBoxDimensions(box)}
+        
+        <span class="box-label x-label">×</span>
+        <input type="number" id="box-${box.id}-quantity" class="box-quantity" value="${box.quantity}" min="1" max="1000">
+        
+        <button class="remove-box-btn">×</button>
+        
+        <div class="box-item-extra">
+          <span class="box-label">Shape:</span>
+          <select id="box-${box.id}-shape" class="box-shape">
+            <option value="box" ${box.shape !== 'cylinder' ? 'selected' : ''}>Box</option>
+            <option value="cylinder" ${box.shape === 'cylinder' ? 'selected' : ''}>Cylinder (drum, roll, tube)</option>
+          </select>
+          
+          <span class="box-label">Weight:</span>
+          <input type="number" id="box-${box.id}-weight" class="box-weight" value="${box.weight}" min="0" step="any">
+          
+          <span class="box-label">Max load:</span>
+          <input type="number" id="box-${box.id}-maxLoad" class="box-max-load" value="${box.maxLoad !== null ? box.maxLoad : ''}" min="0" step="any" placeholder="No limit" title="Weight this box's top can bear">
+          
+          <span class="box-label">Rotation:</span>
+          <select id="box-${box.id}-rotation" class="box-rotation" title="Orientations this box may be packed in">
+            ${this.getRotationOptions(box).map(([value, label]) => `
+              <option value="${value}" ${value === box.rotation ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          
+          <span class="box-label">Max stack:</span>
+          <input type="number" id="box-${box.id}-maxStack" class="box-max-stack" value="${box.maxStack !== null ? box.maxStack : ''}" min="1" step="1" placeholder="No limit" title="Most boxes that may be stacked in a column through this box">
+          
+          <span class="box-label">Stop:</span>
+          <input type="number" id="box-${box.id}-stop" class="box-stop" value="${box.stop !== null ? box.stop : ''}" min="1" step="1" placeholder="None" title="Delivery stop, 1 is unloaded first">
+          
+          <div class="box-flags">
+            <label title="Other boxes may be placed on top of this box">
+              <input type="checkbox" id="box-${box.id}-stackable" class="box-stackable" ${box.stackable ? 'checked' : ''}> Stackable
+            </label>
+            <label title="Rests only on the floor or on boxes of the same type">
+              <input type="checkbox" id="box-${box.id}-onlyOnSameType" class="box-same-type" ${box.onlyOnSameType ? 'checked' : ''}> On same type only
+            </label>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+  
+  renderBoxDimensions(box) {
+    return `
         <span class="box-label">W:</span>
-        <input type="number" id="box-${box.id}-width" class="box-width" value="${box.width}" min="0.0625" step="0.0625">
+        <input type="number" id="box-${box.id}-width" class="box-width" value="${box.width}" ${this.getDimensionAttributes()}>
         
         <span class="box-label">H:</span>
-        <input type="number" id="box-${box.id}-height" class="box-height" value="${box.height}" min="0.0625" step="0.0625">
+        <input type="number" id="box-${box.id}-height" class="box-height" value="${box.height}" ${this.getDimensionAttributes()}>
         
         <span class="box-label">D:</span>
-        <input type="number" id="box-${box.id}-depth" class="box-depth" value="${box.depth}" min="0.0625" step="0.0625">
+        <input type="number" id="box-${box.id}-depth" class="box-depth" value="${box.depth}" ${this.getDimensionAttributes()}>
+    `;
+  }
+  
+  // Cylinders are entered upright: the diameter sets width and depth, the length sets height
+  renderCylinderDimensions(box) {
+    return `
+        <span class="box-label">Ø:</span>
+        <input type="number" id="box-${box.id}-width" class="box-width" value="${box.width}" ${this.getDimensionAttributes()} title="Diameter">
         
-        <span class="box-label x-label">×</span>
-        <input type="number" id="box-${box.id}-quantity" class="box-quantity" value="${box.quantity}" min="1" max="1000">
+        <span class="box-label">L:</span>
+        <input type="number" id="box-${box.id}-height" class="box-height" value="${box.height}" ${this.getDimensionAttributes()} title="Length">
         
-        <button class="remove-box-btn">×</button>
+        <span></span>
+        <span></span>
+    `;
+  }
+  
+  getRotationOptions(box) {
+    return box.shape === 'cylinder'
+      ? Object.entries(CYLINDER_RULES)
+      : Object.entries(ROTATION_RULES).map(([value, rule]) => [value, rule.label]);
+  }
+  
+  renderCatalogItem(entry) {
+    return `
+      <div class="catalog-item" data-catalog-id="${entry.id}">
+        <div class="catalog-item-header">
+          <input type="text" id="catalog-${entry.id}-name" class="catalog-name" value="${this.escapeHtml(entry.name)}">
+          <button class="remove-box-btn">×</button>
+        </div>
+        <div class="catalog-item-row">
+          <span class="box-label">W:</span>
+          <input type="number" id="catalog-${entry.id}-width" class="catalog-width" value="${entry.width}" ${this.getDimensionAttributes()}>
+          <span class="box-label">H:</span>
+          <input type="number" id="catalog-${entry.id}-height" class="catalog-height" value="${entry.height}" ${this.getDimensionAttributes()}>
+          <span class="box-label">D:</span>
+          <input type="number" id="catalog-${entry.id}-depth" class="catalog-depth" value="${entry.depth}" ${this.getDimensionAttributes()}>
+        </div>
+        <div class="catalog-item-row">
+          <span class="box-label">Cost:</span>
+          <input type="number" id="catalog-${entry.id}-cost" class="catalog-cost" value="${entry.cost}" min="0" step="0.01">
+          <span class="box-label">Payload:</span>
+          <input type="number" id="catalog-${entry.id}-maxPayload" class="catalog-payload" value="${entry.maxPayload !== null ? entry.maxPayload : ''}" min="0" placeholder="No limit">
+        </div>
+      </div>
+    `;
+  }
+  
+  renderZoneItem(zone) {
+    return `
+      <div class="zone-item" data-zone-id="${zone.id}">
+        <div class="catalog-item-header">
+          <span class="box-label">Zone ${zone.id}</span>
+          <button class="remove-box-btn">×</button>
+        </div>
+        <div class="catalog-item-row">
+          <span class="box-label">X:</span>
+          <input type="number" id="zone-${zone.id}-x" class="zone-x" value="${zone.x}" min="0" step="any">
+          <span class="box-label">Y:</span>
+          <input type="number" id="zone-${zone.id}-y" class="zone-y" value="${zone.y}" min="0" step="any">
+          <span class="box-label">Z:</span>
+          <input type="number" id="zone-${zone.id}-z" class="zone-z" value="${zone.z}" min="0" step="any">
+        </div>
+        <div class="catalog-item-row">
+          <span class="box-label">W:</span>
+          <input type="number" id="zone-${zone.id}-width" class="zone-width" value="${zone.width}" ${this.getDimensionAttributes()}>
+          <span class="box-label">H:</span>
+          <input type="number" id="zone-${zone.id}-height" class="zone-height" value="${zone.height}" ${this.getDimensionAttributes()}>
+          <span class="box-label">D:</span>
+          <input type="number" id="zone-${zone.id}-depth" class="zone-depth" value="${zone.depth}" ${this.getDimensionAttributes()}>
+        </div>
+        <div class="box-flags">
+          <label>
+            <input type="checkbox" id="zone-${zone.id}-allowOnTop" class="zone-allow-on-top" ${zone.allowOnTop ? 'checked' : ''}> Boxes may rest on top
+          </label>
+        </div>
+      </div>
+    `;
+  }
+  
+  renderResultSummary() {
+    const { container, optimizationStats } = this.appState;
+    if (!optimizationStats) {
+      return `<span style="color: #9ca3af; font-style: italic;">Click Optimize to find the best box size</span>`;
+    }
+    
+    const selection = optimizationStats.catalogSelection;
+    if (selection) {
+      const chosen = selection.entries.map(entry => {
+        const c = this.appState.getContainers().find(item => item.catalogId === entry.id);
+        const size = c ? ` (${formatDimensions(c, this.appState.units)})` : '';
+        const name = this.escapeHtml(entry.name);
+        return entry.count > 1 ? `${entry.count} × ${name}${size}` : `${name}${size}`;
+      }).join(' + ');
+      const rejected = selection.rejected.map(r => `${this.escapeHtml(r.name)}: ${r.reason}`).join('<br>');
+      
+      return `
+        <strong>Stock Container${selection.entries.length > 1 || selection.entries[0].count > 1 ? 's' : ''}:</strong> ${chosen}
+        <div class="result-reason">Total cost: ${selection.totalCost} — ${this.escapeHtml(selection.reason)}</div>
+        ${rejected ? `<div class="result-reason rejected">${rejected}</div>` : ''}
+      `;
+    }
+    
+    const count = this.appState.getContainerCount();
+    const size = formatDimensions(container, this.appState.units);
+    return count > 1 ?
+      `<strong>Containers Needed:</strong> ${count} × (${size})` :
+      `<strong>Optimized Container:</strong> ${size}`;
+  }
+  
+  // Numeric weight distribution inputs; axle fields are only used with axle limits on
+  getBalanceFields() {
+    return [
+      { id: 'balance-region-width', field: 'regionWidth', label: 'CoG region W (%)', min: 0, max: 100, nullable: false },
+      { id: 'balance-region-depth', field: 'regionDepth', label: 'CoG region D (%)', min: 0, max: 100, nullable: false },
+      { id: 'balance-front-axle', field: 'frontAxle', label: `Front axle at (${this.appState.units})`, axle: true, nullable: false },
+      { id: 'balance-rear-axle', field: 'rearAxle', label: `Rear axle at (${this.appState.units})`, axle: true, nullable: false },
+      { id: 'balance-front-limit', field: 'frontAxleLimit', label: 'Front axle limit', axle: true, min: 0, nullable: true },
+      { id: 'balance-rear-limit', field: 'rearAxleLimit', label: 'Rear axle limit', axle: true, min: 0, nullable: true }
+    ];
+  }
+  
+  renderBalanceSettings() {
+    const { balance } = this.appState;
+    
+    return `
+      <div class="constraint-group">
+        <input type="checkbox" id="balance-enabled" ${balance.enabled ? 'checked' : ''}>
+        <label for="balance-enabled">Keep center of gravity balanced</label>
+      </div>
+      <div class="constraint-group">
+        <input type="checkbox" id="balance-axles" ${balance.axlesEnabled ? 'checked' : ''} ${balance.enabled ? '' : 'disabled'}>
+        <label for="balance-axles">Axle load limits (positions from back wall)</label>
       </div>
+      ${this.getBalanceFields().map(({ id, field, label, min, max, axle, nullable }) => `
+        <div class="constraint-group">
+          <label for="${id}">${label}</label>
+          <input type="number" id="${id}" value="${balance[field] !== null ? balance[field] : ''}" step="any"
+                 ${min !== undefined ? `min="${min}"` : ''} ${max !== undefined ? `max="${max}"` : ''}
+                 ${nullable ? 'placeholder="No limit"' : ''}
+                 ${!balance.enabled || (axle && !balance.axlesEnabled) ? 'disabled' : ''}>
+        </div>
+      `).join('')}
     `;
   }
   
+  // min and step of the dimension inputs in the project unit
+  getDimensionAttributes() {
+    const { step } = UNITS[this.appState.units];
+    return `min="${step}" step="${step}"`;
+  }
+  
+  // Rounding steps offered for the project unit, plus the current one if it was loaded from a file
+  renderIncrementOptions() {
+    const { units } = this.appState;
+    const selected = this.appState.getRoundingIncrement();
+    const options = UNITS[units].increments.some(({ value }) => value === selected)
+      ? UNITS[units].increments
+      : [{ value: selected, label: formatLength(selected, units) }, ...UNITS[units].increments];
+    
+    return options.map(option => `
+      <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>
+    `).join('');
+  }
+  
+  renderStrategyOptions() {
+    const selected = this.appState.packingStrategy;
+    const options = [{ value: 'auto', label: 'Auto (best of all)' }]
+      .concat(getStrategyNames().map(name => ({ value: name, label: getStrategy(name).label })));
+    
+    return options.map(option => `
+      <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>
+    `).join('');
+  }
+  
   renderStatus() {
     if (this.appState.optimizationStats) {
       const stats = this.appState.optimizationStats;
@@ -291,12 +785,17 @@ export class SettingsPanel {
       
       const statusTitle = isSuccess ? 'Optimization Complete' : 'Optimization Failed';
       const statusColor = isSuccess ? '#60a5fa' : '#ef4444'; 
-      const failureReason = !isSuccess ? '<div class="failure-reason">Could not fit all boxes inside constraints</div>' : '';
+      const failureReason = !isSuccess ? `<div class="failure-reason">${stats.error ? this.escapeHtml(stats.error) : 'Could not fit all boxes inside constraints'}</div>` : '';
+      const stopNote = stats.cancelled
+        ? '<div class="status-note">Cancelled: showing the best layout found so far</div>'
+        : stats.timedOut ? '<div class="status-note">Time limit reached: showing the best layout found</div>' : '';
+      const strategy = stats.strategy ? getStrategy(stats.strategy) : null;
 
       return `
         <div class="status-message" style="border-left: 4px solid ${statusColor}">
           <strong style="color: ${statusColor}">${statusTitle}</strong>
           ${failureReason}
+          ${stopNote}
           
           <div class="stat-row">
             <span>Placed:</span>
@@ -305,6 +804,12 @@ export class SettingsPanel {
             </span>
           </div>
           
+          ${stats.containerCount > 1 ? `
+          <div class="stat-row">
+            <span>Containers:</span>
+            <span>${stats.containerCount}</span>
+          </div>` : ''}
+          
           <div class="stat-row">
             <span>Volume Used:</span>
             <span>${usedSpace}%</span>
@@ -320,6 +825,38 @@ export class SettingsPanel {
              <div class="stat-bar-fill empty" style="width: ${100 - stats.volumeUtilization}%"></div>
           </div>
           
+          ${this.renderLowerBoundStatus(stats)}
+          
+          ${stats.placedWeight > 0 ? `
+          <div class="stat-row">
+            <span>Weight:</span>
+            <span>${parseFloat(stats.placedWeight.toFixed(2))}${stats.payloadCapacity !== null ? ` / ${stats.payloadCapacity}` : ''}</span>
+          </div>` : ''}
+          
+          ${stats.voidFill ? `
+          <div class="stat-row" title="Space between the boxes and up to the walls, below the top of the load">
+            <span>Void Fill:</span>
+            <span>${formatVolume(stats.voidFill.volume, this.appState.units)} (${(stats.voidFill.loadSpace > 0 ? stats.voidFill.volume / stats.voidFill.loadSpace * 100 : 0).toFixed(1)}%)</span>
+          </div>` : ''}
+          
+          ${stats.usableUtilization !== null && stats.usableUtilization !== undefined ? `
+          <div class="stat-row" title="Volume used inside the wall clearance">
+            <span>Usable Space Used:</span>
+            <span>${stats.usableUtilization.toFixed(1)}%</span>
+          </div>` : ''}
+          
+          ${this.renderOrientationStatus()}
+          
+          ${this.renderBalanceStatus(stats)}
+          
+          ${strategy ? `
+          <div class="stat-row">
+            <span>Strategy:</span>
+            <span>${strategy.label}</span>
+          </div>` : ''}
+          
+          ${this.renderRunStatus(stats.run)}
+          
           <div class="stat-row time-row">
             <span>Time:</span>
             <span>${stats.timeMs}ms</span>
@@ -330,6 +867,98 @@ export class SettingsPanel {
     return '';
   }
   
+  // Seed and search settings of the run, enough to regenerate the layout
+  renderRunStatus(run) {
+    if (!run) return '';
+    
+    const { method, iterations, evaluations, timedOut } = run.improvement;
+    // A phase ended by its time limit is repeated by running the iterations it managed
+    const count = timedOut ? `${evaluations} of ${iterations} iterations (time limit)` : `${iterations} iterations`;
+    const improvement = method !== 'none' ? `; ${IMPROVEMENT_METHODS[method]}, ${count}` : '';
+    const objective = run.objective ? `; ${describeObjective(run.objective)}` : '';
+    
+    return `
+          <div class="stat-row">
+            <span>Seed:</span>
+            <span>${run.seed} <button class="reuse-seed-btn" id="reuse-seed-btn" title="Use this seed for the next run">Reuse</button></span>
+          </div>
+          <div class="status-note">
+            ${run.searchAttempts} search / ${run.finalAttempts} final attempts, noise ${run.useNoise ? 'on' : 'off'}${objective}${improvement}
+          </div>
+    `;
+  }
+  
+  // Number of placed boxes per rotation, e.g. "Rotated 90° about Y: 4"
+  renderOrientationStatus() {
+    const counts = new Map();
+    this.appState.placedBoxes.forEach(box => {
+      if (box.orientation && box.orientation !== 'none') {
+        counts.set(box.orientation, (counts.get(box.orientation) || 0) + 1);
+      }
+    });
+    
+    return [...counts].map(([id, count]) => {
+      const label = getOrientationLabel(id);
+      return `
+          <div class="stat-row">
+            <span>${label.charAt(0).toUpperCase() + label.slice(1)}:</span>
+            <span>${count}</span>
+          </div>`;
+    }).join('');
+  }
+  
+  // Center of gravity (offset from the floor center) and axle loads per container
+  // How close the result is to the proven minimum container volume or count
+  renderLowerBoundStatus(stats) {
+    const lowerBound = stats.lowerBound;
+    if (!lowerBound) return '';
+    const isVolume = lowerBound.measure === 'volume';
+    const gap = lowerBound.gap.toFixed(1);
+    
+    const summary = lowerBound.gap < 0.05
+      ? `${isVolume ? 'Container volume' : 'Container count'} matches the proven minimum`
+      : `${isVolume ? 'Container volume' : 'Container count'} within ${gap}% of the proven minimum`;
+    
+    return `
+          <div class="stat-row" title="${isVolume ? 'Smallest container volume any packing could use' : 'Fewest containers any packing could use'}">
+            <span>Lower Bound:</span>
+            <span>${isVolume ? formatVolume(lowerBound.bound, this.appState.units) : `${lowerBound.bound} container${lowerBound.bound === 1 ? '' : 's'}`} (gap ${gap}%)</span>
+          </div>
+          <div class="status-note">${summary}</div>
+    `;
+  }
+  
+  renderBalanceStatus(stats) {
+    if (!stats.balance) return '';
+    const format = value => parseFloat(value.toFixed(2));
+    const signed = value => `${value > 0 ? '+' : ''}${format(value)}`;
+    
+    return stats.balance.map((report, index) => {
+      if (!report) return '';
+      const cog = report.centerOfGravity;
+      const suffix = stats.balance.length > 1 ? ` #${index + 1}` : '';
+      const color = report.violations.length > 0 ? '#ef4444' : '#fff';
+      const quadrants = report.quadrantLoads;
+      
+      return `
+          <div class="stat-row" title="Offset from the floor center (X, Z) and height (Y)">
+            <span>CoG${suffix}:</span>
+            <span style="color: ${color}">${signed(cog.x)}, ${format(cog.y)}, ${signed(cog.z)} ${this.appState.units}</span>
+          </div>
+          <div class="stat-row" title="Back-left / back-right / front-left / front-right">
+            <span>Quarters${suffix}:</span>
+            <span>${[quadrants.backLeft, quadrants.backRight, quadrants.frontLeft, quadrants.frontRight].map(format).join(' / ')}</span>
+          </div>
+          ${report.axleLoads ? `
+          <div class="stat-row">
+            <span>Axles${suffix}:</span>
+            <span style="color: ${color}">F ${format(report.axleLoads.front)} / R ${format(report.axleLoads.rear)}</span>
+          </div>` : ''}
+          ${report.violations.map(v => `<div class="failure-reason">${this.escapeHtml(v)}${suffix ? ` (container ${index + 1})` : ''}</div>`).join('')}
+      `;
+    }).join('');
+  }
+  
   attachEventListeners() {
     // Toggle Collapse Handlers
     const toggleConstraints = document.getElementById('toggle-constraints');
@@ -371,8 +1000,8 @@ export class SettingsPanel {
           } else {
             // Currently unlocked, so lock
             let newVal = parseFloat(input.value);
-            if (isNaN(newVal)) {
-              // Default values if empty
+            if (!(newVal > 0)) {
+              // Default values if empty or not a size
               if (dim === 'width') newVal = 20;
               else if (dim === 'height') newVal = 10;
               else if (dim === 'depth') newVal = 20;
@@ -385,20 +1014,246 @@ export class SettingsPanel {
         });
         
         input.addEventListener('change', (e) => {
-          const value = parseFloat(e.target.value) || 100;
+          const value = this.readSize(e.target, this.appState.containerConstraints[dim] || 100);
           this.appState.updateContainerConstraints({ [dim]: value });
         });
       }
     });
     
-    // Rotation toggle
-    const rotationCheckbox = document.getElementById('allow-rotation');
-    if (rotationCheckbox) {
-      rotationCheckbox.addEventListener('change', (e) => {
-        this.appState.setAllowRotation(e.target.checked);
+    // Container mode toggle
+    ['custom', 'catalog'].forEach(mode => {
+      const btn = document.getElementById(`container-mode-${mode}`);
+      if (btn) {
+        btn.addEventListener('click', () => {
+          this.appState.setContainerMode(mode);
+        });
+      }
+    });
+    
+    // Catalog entries
+    const addCatalogBtn = document.getElementById('add-catalog-btn');
+    if (addCatalogBtn) {
+      addCatalogBtn.addEventListener('click', () => {
+        this.appState.addCatalogEntry();
+      });
+    }
+    
+    document.querySelectorAll('.catalog-item').forEach(item => {
+      const entryId = parseInt(item.dataset.catalogId);
+      
+      item.querySelector('.catalog-name').addEventListener('change', (e) => {
+        this.appState.updateCatalogEntry(entryId, { name: e.target.value.trim() || 'Container' });
+      });
+      
+      ['width', 'height', 'depth'].forEach(dim => {
+        item.querySelector(`.catalog-${dim}`).addEventListener('change', (e) => {
+          const entry = this.appState.containerCatalog.find(c => c.id === entryId);
+          this.appState.updateCatalogEntry(entryId, { [dim]: this.readSize(e.target, entry[dim]) });
+        });
+      });
+      
+      item.querySelector('.catalog-cost').addEventListener('change', (e) => {
+        this.appState.updateCatalogEntry(entryId, { cost: Math.max(0, parseFloat(e.target.value) || 0) });
+      });
+      
+      item.querySelector('.catalog-payload').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        this.appState.updateCatalogEntry(entryId, { maxPayload: isNaN(value) ? null : value });
+      });
+      
+      item.querySelector('.remove-box-btn').addEventListener('click', () => {
+        this.appState.removeCatalogEntry(entryId);
+      });
+    });
+    
+    // Keep-out zones
+    const addZoneBtn = document.getElementById('add-zone-btn');
+    if (addZoneBtn) {
+      addZoneBtn.addEventListener('click', () => {
+        this.appState.addKeepOutZone();
+      });
+    }
+    
+    document.querySelectorAll('.zone-item').forEach(item => {
+      const zoneId = parseInt(item.dataset.zoneId);
+      
+      ['x', 'y', 'z'].forEach(axis => {
+        item.querySelector(`.zone-${axis}`).addEventListener('change', (e) => {
+          this.appState.updateKeepOutZone(zoneId, { [axis]: Math.max(0, parseFloat(e.target.value) || 0) });
+        });
+      });
+      
+      ['width', 'height', 'depth'].forEach(dim => {
+        item.querySelector(`.zone-${dim}`).addEventListener('change', (e) => {
+          const zone = this.appState.keepOutZones.find(z => z.id === zoneId);
+          this.appState.updateKeepOutZone(zoneId, { [dim]: this.readSize(e.target, zone[dim]) });
+        });
+      });
+      
+      item.querySelector('.zone-allow-on-top').addEventListener('change', (e) => {
+        this.appState.updateKeepOutZone(zoneId, { allowOnTop: e.target.checked });
+      });
+      
+      item.querySelector('.remove-box-btn').addEventListener('click', () => {
+        this.appState.removeKeepOutZone(zoneId);
+      });
+    });
+    
+    // Payload limit
+    const payloadInput = document.getElementById('container-payload');
+    if (payloadInput) {
+      payloadInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        this.appState.updateContainerPayload(isNaN(value) ? null : Math.max(0, value));
+      });
+    }
+    
+    // Multi-container toggle
+    const multiCheckbox = document.getElementById('multi-container');
+    if (multiCheckbox) {
+      multiCheckbox.addEventListener('change', (e) => {
+        this.appState.setMultiContainer(e.target.checked);
+      });
+    }
+    
+    // Door face
+    const doorSelect = document.getElementById('container-door');
+    if (doorSelect) {
+      doorSelect.addEventListener('change', (e) => {
+        this.appState.setContainerDoor(e.target.value);
+      });
+    }
+    
+    // Clearances
+    [['box-gap', 'boxGap'], ['wall-clearance', 'wallClearance']].forEach(([id, field]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', (e) => {
+          this.appState.updateClearance({ [field]: Math.max(0, parseFloat(e.target.value) || 0) });
+        });
+      }
+    });
+    
+    const voidFillCheckbox = document.getElementById('report-void-fill');
+    if (voidFillCheckbox) {
+      voidFillCheckbox.addEventListener('change', (e) => {
+        this.appState.updateClearance({ reportVoidFill: e.target.checked });
+      });
+    }
+    
+    // Delivery mode toggle
+    const deliveryCheckbox = document.getElementById('delivery-mode');
+    if (deliveryCheckbox) {
+      deliveryCheckbox.addEventListener('change', (e) => {
+        this.appState.setDeliveryMode(e.target.checked);
+      });
+    }
+
+    // Strategy select
+    const strategySelect = document.getElementById('packing-strategy');
+    if (strategySelect) {
+      strategySelect.addEventListener('change', (e) => {
+        this.appState.setPackingStrategy(e.target.value);
+      });
+    }
+
+    // Objective and its weights (used by 'weighted')
+    const objectiveSelect = document.getElementById('objective');
+    if (objectiveSelect) {
+      objectiveSelect.addEventListener('change', (e) => {
+        this.appState.updateObjective({ name: e.target.value });
+      });
+    }
+    
+    Object.keys(OBJECTIVE_MEASURES).forEach(measure => {
+      const input = document.getElementById(`objective-weight-${measure}`);
+      if (input) {
+        input.addEventListener('change', (e) => {
+          const weights = { ...this.appState.objective.weights, [measure]: Math.max(0, parseFloat(e.target.value) || 0) };
+          this.appState.updateObjective({ weights });
+        });
+      }
+    });
+
+    // Improvement phase
+    const methodSelect = document.getElementById('improvement-method');
+    if (methodSelect) {
+      methodSelect.addEventListener('change', (e) => {
+        this.appState.updateImprovement({ method: e.target.value });
+      });
+    }
+
+    const timeInput = document.getElementById('improvement-time');
+    if (timeInput) {
+      timeInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        this.appState.updateImprovement({ timeLimitSeconds: isNaN(value) ? null : Math.max(1, value) });
+      });
+    }
+
+    const timeBudgetInput = document.getElementById('time-budget');
+    if (timeBudgetInput) {
+      timeBudgetInput.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        this.appState.setTimeBudget(isNaN(value) ? null : Math.max(1, value));
+      });
+    }
+
+    const seedInput = document.getElementById('random-seed');
+    if (seedInput) {
+      seedInput.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value, 10);
+        this.appState.setSeed(isNaN(value) ? null : Math.min(Math.max(value, 0), 4294967295));
+      });
+    }
+
+    // The status is redrawn on every update, so its button is handled by the container
+    const statusContainer = document.getElementById('status-container');
+    if (statusContainer) {
+      statusContainer.addEventListener('click', (e) => {
+        if (e.target.id === 'reuse-seed-btn') {
+          this.appState.setSeed(this.appState.optimizationStats.run.seed);
+        }
+      });
+    }
+
+    const iterationsInput = document.getElementById('improvement-iterations');
+    if (iterationsInput) {
+      iterationsInput.addEventListener('change', (e) => {
+        this.appState.updateImprovement({ iterations: Math.max(10, parseInt(e.target.value) || 500) });
+      });
+    }
+
+    // Weight distribution
+    const balanceCheckbox = document.getElementById('balance-enabled');
+    if (balanceCheckbox) {
+      balanceCheckbox.addEventListener('change', (e) => {
+        this.appState.updateBalance({ enabled: e.target.checked });
+      });
+    }
+
+    const axlesCheckbox = document.getElementById('balance-axles');
+    if (axlesCheckbox) {
+      axlesCheckbox.addEventListener('change', (e) => {
+        this.appState.updateBalance({ axlesEnabled: e.target.checked });
       });
     }
 
+    this.getBalanceFields().forEach(({ id, field, min, max, nullable }) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', (e) => {
+        let value = parseFloat(e.target.value);
+        if (isNaN(value)) {
+          value = nullable ? null : this.appState.balance[field];
+        } else {
+          if (min !== undefined) value = Math.max(min, value);
+          if (max !== undefined) value = Math.min(max, value);
+        }
+        this.appState.updateBalance({ [field]: value });
+      });
+    });
+
     // Add box button
     document.getElementById('add-box-btn').addEventListener('click', () => {
       this.appState.addBox();
@@ -419,21 +1274,73 @@ export class SettingsPanel {
     // Box item changes and removal
     document.querySelectorAll('.box-item').forEach(item => {
       const boxId = parseInt(item.dataset.boxId);
+      const getBox = () => this.appState.boxes.find(b => b.id === boxId);
       
       item.querySelector('.box-width').addEventListener('change', (e) => {
-        this.appState.updateBox(boxId, { width: parseFloat(e.target.value) || 1 });
+        const box = getBox();
+        const width = this.readSize(e.target, box.width);
+        // A cylinder's diameter is both its width and its depth
+        this.appState.updateBox(boxId, box.shape === 'cylinder' ? { width, depth: width } : { width });
       });
       
       item.querySelector('.box-height').addEventListener('change', (e) => {
-        this.appState.updateBox(boxId, { height: parseFloat(e.target.value) || 1 });
+        this.appState.updateBox(boxId, { height: this.readSize(e.target, getBox().height) });
       });
       
-      item.querySelector('.box-depth').addEventListener('change', (e) => {
-        this.appState.updateBox(boxId, { depth: parseFloat(e.target.value) || 1 });
+      const depthInput = item.querySelector('.box-depth');
+      if (depthInput) {
+        depthInput.addEventListener('change', (e) => {
+          this.appState.updateBox(boxId, { depth: this.readSize(e.target, getBox().depth) });
+        });
+      }
+      
+      item.querySelector('.box-shape').addEventListener('change', (e) => {
+        const box = this.appState.boxes.find(b => b.id === boxId);
+        if (e.target.value === 'cylinder') {
+          // Round the footprint to the width; 'No rotation' reads as upright for a cylinder
+          this.appState.updateBox(boxId, {
+            shape: 'cylinder',
+            depth: box.width,
+            rotation: box.rotation === 'none' ? 'upright' : box.rotation
+          });
+        } else {
+          this.appState.updateBox(boxId, { shape: 'box' });
+        }
       });
       
       item.querySelector('.box-quantity').addEventListener('change', (e) => {
-        this.appState.updateBox(boxId, { quantity: parseInt(e.target.value) || 1 });
+        this.appState.updateBox(boxId, { quantity: Math.max(1, parseInt(e.target.value) || 1) });
+      });
+      
+      item.querySelector('.box-weight').addEventListener('change', (e) => {
+        this.appState.updateBox(boxId, { weight: Math.max(0, parseFloat(e.target.value) || 0) });
+      });
+      
+      item.querySelector('.box-max-load').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        this.appState.updateBox(boxId, { maxLoad: isNaN(value) ? null : Math.max(0, value) });
+      });
+      
+      item.querySelector('.box-rotation').addEventListener('change', (e) => {
+        this.appState.updateBox(boxId, { rotation: e.target.value });
+      });
+      
+      item.querySelector('.box-max-stack').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        this.appState.updateBox(boxId, { maxStack: isNaN(value) ? null : Math.max(1, value) });
+      });
+      
+      item.querySelector('.box-stop').addEventListener('change', (e) => {
+        const value = parseInt(e.target.value);
+        this.appState.updateBox(boxId, { stop: isNaN(value) ? null : Math.max(1, value) });
+      });
+      
+      item.querySelector('.box-stackable').addEventListener('change', (e) => {
+        this.appState.updateBox(boxId, { stackable: e.target.checked });
+      });
+      
+      item.querySelector('.box-same-type').addEventListener('change', (e) => {
+        this.appState.updateBox(boxId, { onlyOnSameType: e.target.checked });
       });
       
       item.querySelector('.remove-box-btn').addEventListener('click', () => {
@@ -447,6 +1354,29 @@ export class SettingsPanel {
       this.handleOptimize();
     });
     
+    // Save / load configuration
+    document.getElementById('save-config-btn').addEventListener('click', () => {
+      this.handleSaveConfig();
+    });
+    
+    const loadInput = document.getElementById('load-config-input');
+    document.getElementById('load-config-btn').addEventListener('click', () => {
+      loadInput.click();
+    });
+    loadInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.handleLoadConfig(file);
+      e.target.value = '';
+    });
+    
+    // Units (switching converts every length) and container rounding
+    document.getElementById('units').addEventListener('change', (e) => {
+      this.appState.setUnits(e.target.value);
+    });
+    document.getElementById('rounding-increment').addEventListener('change', (e) => {
+      this.appState.setRoundingIncrement(parseFloat(e.target.value));
+    });
+    
     // Subscribe to state changes for re-rendering (only once)
     if (!this.isSubscribed) {
       this.appState.subscribe(() => {
@@ -456,6 +1386,36 @@ export class SettingsPanel {
     }
   }
   
+  // A length typed into a size field: a positive number, or else the size it would have
+  // replaced, put back in the field
+  readSize(input, current) {
+    const value = parseFloat(input.value);
+    if (value > 0) return value;
+
+    input.value = current;
+    return current;
+  }
+  
+  // User-entered text (e.g. catalog names) is interpolated into innerHTML
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  // Smallest container size that holds the largest box, including the wall clearance
+  getMaxBoxDims() {
+    const { boxes } = this.appState;
+    const walls = 2 * this.appState.clearance.wallClearance;
+    return {
+      width: Math.max(...boxes.map(b => b.width)) + walls,
+      height: Math.max(...boxes.map(b => b.height)),
+      depth: Math.max(...boxes.map(b => b.depth)) + walls
+    };
+  }
+  
   getInvalidConstraints(containerConstraints, maxBoxDims) {
     return {
       width: containerConstraints.width !== null && containerConstraints.width < maxBoxDims.width,
@@ -464,6 +1424,24 @@ export class SettingsPanel {
     };
   }
   
+  handleSaveConfig() {
+    const json = JSON.stringify(this.appState.getConfig(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pack3d-config.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+  
+  async handleLoadConfig(file) {
+    try {
+      this.appState.loadConfig(JSON.parse(await file.text()));
+    } catch (err) {
+      alert(`Could not load configuration: ${err.message}`);
+    }
+  }
+  
   async handleOptimize() {
     // Import optimizer dynamically
     const { PackingOptimizer } = await import('../packing/PackingOptimizer.js');
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { convertLength, formatDimensions } from '../state/units.js';
 
 export class Viewport3D {
   constructor(container, appState) {
@@ -7,12 +8,16 @@ export class Viewport3D {
     this.appState = appState;
     
     this.scene = null;
+    // Holds everything measured in project units, scaled to inches so the grid,
+    // camera and lights suit any unit
+    this.world = null;
     this.camera = null;
     this.renderer = null;
     this.controls = null;
     
     this.containerMesh = null;
     this.boxMeshes = [];
+    this.balanceMarkers = null;
   }
   
   init() {
@@ -39,6 +44,9 @@ export class Viewport3D {
     // Lower grid slightly to avoid z-fighting with container bottom
     gridHelper.position.y = -0.05;
     this.scene.add(gridHelper);
+    
+    this.world = new THREE.Group();
+    this.scene.add(this.world);
   }
   
   setupCamera() {
@@ -89,13 +97,24 @@ export class Viewport3D {
   }
   
   createContainer() {
-    const { width, height, depth } = this.appState.container;
-    
     // Remove old container
     if (this.containerMesh) {
-      this.scene.remove(this.containerMesh);
+      this.world.remove(this.containerMesh);
     }
     
+    this.containerMesh = new THREE.Group();
+    
+    // Multi-container results are laid out side by side along X
+    this.appState.getContainers().forEach(({ width, height, depth }, index) => {
+      const single = this.createSingleContainer(width, height, depth);
+      single.position.x = this.getContainerOffset(index);
+      this.containerMesh.add(single);
+    });
+    
+    this.world.add(this.containerMesh);
+  }
+  
+  createSingleContainer(width, height, depth) {
     // Create transparent container box with open top
     const geometry = new THREE.BoxGeometry(width, height, depth);
     const edges = new THREE.EdgesGeometry(geometry);
@@ -115,12 +134,119 @@ export class Viewport3D {
     const containerBox = new THREE.Mesh(geometry, materials);
     containerBox.position.set(0, height / 2, 0);
     
-    this.containerMesh = new THREE.Group();
-    this.containerMesh.add(wireframe);
-    this.containerMesh.add(containerBox);
+    const group = new THREE.Group();
+    group.add(wireframe);
+    group.add(containerBox);
+    group.add(this.createDoorMarker(width, height, depth));
     wireframe.position.set(0, height / 2, 0);
     
-    this.scene.add(this.containerMesh);
+    // Dashed outline of the space inside the wall clearance
+    const clearance = this.appState.clearance.wallClearance;
+    if (clearance > 0 && width > 2 * clearance && depth > 2 * clearance) {
+      const inner = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.BoxGeometry(width - 2 * clearance, height, depth - 2 * clearance)),
+        new THREE.LineDashedMaterial({ color: 0x94a3b8, dashSize: clearance, gapSize: clearance / 2 })
+      );
+      inner.computeLineDistances();
+      inner.position.set(0, height / 2, 0);
+      group.add(inner);
+    }
+    
+    // Keep-out zones only apply to custom-size containers
+    if (this.appState.containerMode === 'custom') {
+      this.appState.keepOutZones.forEach(zone => {
+        group.add(this.createZoneMesh(zone, width, depth));
+      });
+    }
+    
+    return group;
+  }
+  
+  // Hatched solid for a keep-out zone, positioned from the back-left floor corner
+  createZoneMesh(zone, width, depth) {
+    const geometry = new THREE.BoxGeometry(zone.width, zone.height, zone.depth);
+    const material = new THREE.MeshStandardMaterial({
+      map: this.getHatchTexture(),
+      color: 0xef4444,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.add(new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      new THREE.LineBasicMaterial({ color: 0xef4444 })
+    ));
+    mesh.position.set(
+      -width / 2 + zone.x + zone.width / 2,
+      zone.y + zone.height / 2,
+      -depth / 2 + zone.z + zone.depth / 2
+    );
+    
+    return mesh;
+  }
+  
+  // Diagonal stripes, drawn once and shared by every zone
+  getHatchTexture() {
+    if (!this.hatchTexture) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 32;
+      const ctx = canvas.getContext('2d');
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 4;
+      for (let offset = -32; offset <= 32; offset += 16) {
+        ctx.beginPath();
+        ctx.moveTo(offset, 32);
+        ctx.lineTo(offset + 32, 0);
+        ctx.stroke();
+      }
+      
+      this.hatchTexture = new THREE.CanvasTexture(canvas);
+      this.hatchTexture.wrapS = this.hatchTexture.wrapT = THREE.RepeatWrapping;
+      this.hatchTexture.repeat.set(2, 2);
+    }
+    return this.hatchTexture;
+  }
+  
+  // Outline of the door face, inset slightly so it does not merge with the container edges
+  createDoorMarker(width, height, depth) {
+    const door = this.appState.containerDoor;
+    const alongZ = door === 'front' || door === 'back';
+    const faceWidth = (alongZ ? width : depth) * 0.96;
+    const outline = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.PlaneGeometry(faceWidth, height * 0.96)),
+      new THREE.LineBasicMaterial({ color: 0xf97316 })
+    );
+    
+    const sign = door === 'front' || door === 'right' ? 1 : -1;
+    if (alongZ) {
+      outline.position.set(0, height / 2, sign * depth / 2);
+    } else {
+      outline.rotation.y = Math.PI / 2;
+      outline.position.set(sign * width / 2, height / 2, 0);
+    }
+    
+    return outline;
+  }
+  
+  // Highlight color for a delivery stop (golden angle spacing, like box types)
+  getStopColor(stop) {
+    return new THREE.Color().setHSL(((stop * 137.5) % 360) / 360, 0.85, 0.55);
+  }
+  
+  // X offset of a container in a multi-container layout, centered on the origin
+  getContainerOffset(index) {
+    const containers = this.appState.getContainers();
+    const gap = Math.max(...containers.map(c => c.width)) * 0.2;
+    const totalWidth = containers.reduce((sum, c) => sum + c.width, 0) + gap * (containers.length - 1);
+    
+    let offset = -totalWidth / 2;
+    for (let i = 0; i < index; i++) {
+      offset += containers[i].width + gap;
+    }
+    return offset + containers[index].width / 2;
   }
   
   createStatsPanel() {
@@ -133,7 +259,9 @@ export class Viewport3D {
     statsPanel.innerHTML = `
       <h4>Visualization</h4>
       <p id="box-count">Boxes: 0</p>
-      <p id="container-dims">Container: ${this.appState.container.width} × ${this.appState.container.height} × ${this.appState.container.depth}</p>
+      <p id="container-dims">Container: ${formatDimensions(this.appState.container, this.appState.units)}</p>
+      <p id="container-count" style="display: none;"></p>
+      <div id="stop-legend"></div>
     `;
     this.container.appendChild(statsPanel);
   }
@@ -141,39 +269,62 @@ export class Viewport3D {
   updateStatsPanel() {
     const boxCountEl = document.getElementById('box-count');
     const containerDimsEl = document.getElementById('container-dims');
+    const containerCountEl = document.getElementById('container-count');
     
     if (boxCountEl) {
       boxCountEl.textContent = `Boxes: ${this.appState.placedBoxes.length}`;
     }
     
     if (containerDimsEl) {
-      const { width, height, depth } = this.appState.container;
-      containerDimsEl.textContent = `Container: ${width} × ${height} × ${depth}`;
+      containerDimsEl.textContent = `Container: ${formatDimensions(this.appState.container, this.appState.units)}`;
+    }
+    
+    if (containerCountEl) {
+      const count = this.appState.getContainerCount();
+      containerCountEl.style.display = count > 1 ? '' : 'none';
+      containerCountEl.textContent = `Containers: ${count}`;
+    }
+    
+    const stopLegendEl = document.getElementById('stop-legend');
+    if (stopLegendEl) {
+      const stops = this.appState.deliveryMode
+        ? [...new Set(this.appState.placedBoxes.map(box => box.stop).filter(stop => stop !== null && stop !== undefined))].sort((a, b) => a - b)
+        : [];
+      stopLegendEl.innerHTML = stops.map(stop => `
+        <p><span class="stop-swatch" style="background-color: #${this.getStopColor(stop).getHexString()}"></span>Stop ${stop}</p>
+      `).join('');
     }
   }
   
   update() {
+    this.world.scale.setScalar(convertLength(1, this.appState.units, 'in'));
     this.createContainer();
     this.updateBoxes();
+    this.updateBalanceMarkers();
     this.updateStatsPanel();
   }
   
   updateBoxes() {
     // Remove old box meshes
-    this.boxMeshes.forEach(mesh => this.scene.remove(mesh));
+    this.boxMeshes.forEach(mesh => this.world.remove(mesh));
     this.boxMeshes = [];
     
     // Create new box meshes from placed boxes
     this.appState.placedBoxes.forEach((placedBox, index) => {
-      const geometry = new THREE.BoxGeometry(
-        placedBox.width,
-        placedBox.height,
-        placedBox.depth
-      );
+      const isCylinder = placedBox.shape === 'cylinder';
+      const geometry = isCylinder
+        ? this.createCylinderGeometry(placedBox)
+        : new THREE.BoxGeometry(placedBox.width, placedBox.height, placedBox.depth);
       
       // Use different colors for different box definitions
       const hue = (placedBox.definitionId * 137.5) % 360; // Golden angle for color distribution
-      const color = new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
+      let color = new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
+      
+      // Delivery mode colors by stop instead; boxes that stay on board are grey
+      if (this.appState.deliveryMode) {
+        const hasStop = placedBox.stop !== null && placedBox.stop !== undefined;
+        color = hasStop ? this.getStopColor(placedBox.stop) : new THREE.Color(0x6b7280);
+      }
       
       const material = new THREE.MeshStandardMaterial({
         color: color,
@@ -190,13 +341,13 @@ export class Viewport3D {
       
       // Position box (positions are at box centers)
       mesh.position.set(
-        placedBox.x,
+        placedBox.x + this.getContainerOffset(placedBox.containerIndex || 0),
         placedBox.y,
         placedBox.z
       );
       
-      // Add edges for better visibility
-      const edges = new THREE.EdgesGeometry(geometry);
+      // Add edges for better visibility (only the rims of a cylinder)
+      const edges = new THREE.EdgesGeometry(geometry, isCylinder ? 30 : 1);
       const edgeMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 1 });
       const edgeLines = new THREE.LineSegments(edges, edgeMaterial);
       mesh.add(edgeLines);
@@ -204,11 +355,76 @@ export class Viewport3D {
       mesh.castShadow = true;
       mesh.receiveShadow = true;
       
-      this.scene.add(mesh);
+      this.world.add(mesh);
       this.boxMeshes.push(mesh);
     });
   }
   
+  // Cylinder geometry is built along Y, then turned onto the axis the cylinder was packed along
+  createCylinderGeometry(placedBox) {
+    const axis = placedBox.axis || 'y';
+    const radius = (axis === 'y' ? placedBox.width : placedBox.height) / 2;
+    const length = axis === 'x' ? placedBox.width : axis === 'z' ? placedBox.depth : placedBox.height;
+    const geometry = new THREE.CylinderGeometry(radius, radius, length, 32);
+    
+    if (axis === 'x') geometry.rotateZ(Math.PI / 2);
+    if (axis === 'z') geometry.rotateX(Math.PI / 2);
+    return geometry;
+  }
+  
+  // Center-of-gravity marker per container, with a plumb line to the floor and the allowed region
+  updateBalanceMarkers() {
+    if (this.balanceMarkers) {
+      this.world.remove(this.balanceMarkers);
+    }
+    this.balanceMarkers = new THREE.Group();
+    
+    const stats = this.appState.optimizationStats;
+    const reports = (stats && stats.balance) || [];
+    const containers = this.appState.getContainers();
+    const { balance } = this.appState;
+    
+    reports.forEach((report, index) => {
+      if (!report || !containers[index]) return;
+      const { x, y, z } = report.centerOfGravity;
+      const offset = this.getContainerOffset(index);
+      const color = report.violations.length > 0 ? 0xef4444 : 0x22c55e;
+      
+      // Drawn on top of the boxes so the marker is never hidden inside the load
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(Math.max(...containers.map(c => Math.max(c.width, c.depth))) * 0.015, 16, 12),
+        new THREE.MeshBasicMaterial({ color, depthTest: false })
+      );
+      marker.position.set(x + offset, y, z);
+      marker.renderOrder = 1;
+      this.balanceMarkers.add(marker);
+      
+      const plumbLine = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(x + offset, y, z),
+          new THREE.Vector3(x + offset, 0, z)
+        ]),
+        new THREE.LineBasicMaterial({ color, depthTest: false })
+      );
+      plumbLine.renderOrder = 1;
+      this.balanceMarkers.add(plumbLine);
+      
+      if (balance.enabled) {
+        const regionWidth = containers[index].width * balance.regionWidth / 100;
+        const regionDepth = containers[index].depth * balance.regionDepth / 100;
+        const region = new THREE.LineSegments(
+          new THREE.EdgesGeometry(new THREE.PlaneGeometry(regionWidth, regionDepth)),
+          new THREE.LineBasicMaterial({ color: 0xfacc15 })
+        );
+        region.rotation.x = -Math.PI / 2;
+        region.position.set(offset, 0.01, 0);
+        this.balanceMarkers.add(region);
+      }
+    });
+    
+    this.world.add(this.balanceMarkers);
+  }
+  
   handleResize() {
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
@@ -0,0 +1,7 @@
+// Public entry point of the package: the packing engine without the app around it.
+// See packing/pack.js for pack() and its options.
+export { pack, expandBoxes } from './packing/pack.js';
+export { getStrategyNames } from './packing/strategies.js';
+export { OBJECTIVES, OBJECTIVE_MEASURES } from './packing/objectives.js';
+export { IMPROVEMENT_METHODS } from './packing/ImprovementSearch.js';
+export { UNITS, DEFAULT_INCREMENTS, convertLength, convertVolume } from './state/units.js';
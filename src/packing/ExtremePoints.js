@@ -0,0 +1,221 @@
+import { getNearbyBoxes } from '../physics/SpatialGrid.js';
+
+// Maps each axis to the box dimension measured along it
+const AXIS_SIZE = { x: 'width', y: 'height', z: 'depth' };
+
+const EPSILON = 1e-6;
+
+/**
+ * Extreme-point candidate model (Crainic, Perboli & Tadei, 2008).
+ * Every placed box contributes the three corners adjacent to its far faces,
+ * each projected back along the other two axes until it meets a wall or
+ * another box. Points are stored as minimum corners in world coordinates
+ * (container centered on X/Z, floor at Y = 0).
+ * The container's boxGap and wallClearance keep points that far from box
+ * sides and side walls; boxes still stack directly on each other.
+ * Upright cylinders also get honeycomb positions that nest them against the
+ * cylinders already standing on the same level.
+ * The placed boxes may be passed as an array or a SpatialGrid.
+ */
+export class ExtremePointSet {
+  constructor(container) {
+    this.container = container;
+    this.gap = container.boxGap || 0;
+    this.clearance = container.wallClearance || 0;
+    this.points = [];
+    this.keys = new Set();
+    this.cylinders = [];
+
+    // Back-left corner of the floor is always the first extreme point
+    this.addPoint({ x: -container.width / 2 + this.clearance, y: 0, z: -container.depth / 2 + this.clearance }, []);
+  }
+
+  /**
+   * Register a newly placed box: drop the points it now covers and add the
+   * projections of its corners against the walls and the other placed boxes
+   */
+  update(placedBox, placedBoxes) {
+    const bounds = this.getBounds(placedBox);
+
+    if (this.isUprightCylinder(placedBox)) {
+      this.cylinders.push(placedBox);
+    }
+
+    this.points = this.points.filter(p => !this.isInside(p, bounds));
+    this.keys = new Set(this.points.map(p => this.getKey(p)));
+
+    const corners = [
+      { point: { x: bounds.maxX + this.gap, y: bounds.minY, z: bounds.minZ }, axes: ['y', 'z'] },
+      { point: { x: bounds.minX, y: bounds.maxY, z: bounds.minZ }, axes: ['x', 'z'] },
+      { point: { x: bounds.minX, y: bounds.minY, z: bounds.maxZ + this.gap }, axes: ['x', 'y'] }
+    ];
+
+    for (const corner of corners) {
+      for (const axis of corner.axes) {
+        this.addPoint(this.project(corner.point, axis, placedBoxes), placedBoxes);
+      }
+    }
+  }
+
+  /**
+   * Box-center positions for placing a box of the given dimensions at every
+   * extreme point that keeps it inside the container
+   */
+  getCandidates(box) {
+    const maxX = this.container.width / 2 - this.clearance;
+    const maxY = this.container.height;
+    const maxZ = this.container.depth / 2 - this.clearance;
+    const candidates = [];
+
+    for (const p of this.points) {
+      if (p.x + box.width > maxX + EPSILON ||
+          p.y + box.height > maxY + EPSILON ||
+          p.z + box.depth > maxZ + EPSILON) {
+        continue;
+      }
+
+      candidates.push({
+        x: p.x + box.width / 2,
+        y: p.y + box.height / 2,
+        z: p.z + box.depth / 2
+      });
+    }
+
+    if (this.isUprightCylinder(box)) {
+      candidates.push(...this.getNestingCandidates(box));
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Box-center positions where an upright cylinder touches two standing
+   * cylinders with the same base, or one of them and a side wall
+   */
+  getNestingCandidates(box) {
+    const radius = box.width / 2;
+    const minX = -this.container.width / 2 + this.clearance + radius;
+    const maxX = this.container.width / 2 - this.clearance - radius;
+    const minZ = -this.container.depth / 2 + this.clearance + radius;
+    const maxZ = this.container.depth / 2 - this.clearance - radius;
+    const walls = [{ axis: 'x', at: minX }, { axis: 'x', at: maxX }, { axis: 'z', at: minZ }, { axis: 'z', at: maxZ }];
+    const candidates = [];
+
+    const add = (x, z, baseY) => {
+      if (x < minX - EPSILON || x > maxX + EPSILON || z < minZ - EPSILON || z > maxZ + EPSILON ||
+          baseY + box.height > this.container.height + EPSILON) {
+        return;
+      }
+      candidates.push({ x, y: baseY + box.height / 2, z });
+    };
+
+    this.cylinders.forEach((a, i) => {
+      const baseY = a.y - a.height / 2;
+      const reachA = a.width / 2 + radius + this.gap;
+
+      for (const wall of walls) {
+        const offset = wall.at - a[wall.axis];
+        if (Math.abs(offset) > reachA) continue;
+
+        const along = Math.sqrt(reachA * reachA - offset * offset);
+        for (const sign of [-1, 1]) {
+          const other = a[wall.axis === 'x' ? 'z' : 'x'] + sign * along;
+          if (wall.axis === 'x') add(wall.at, other, baseY);
+          else add(other, wall.at, baseY);
+        }
+      }
+
+      for (const b of this.cylinders.slice(i + 1)) {
+        if (Math.abs(b.y - b.height / 2 - baseY) > EPSILON) continue;
+
+        // Intersections of the two circles the new center may lie on
+        const reachB = b.width / 2 + radius + this.gap;
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance < EPSILON || distance > reachA + reachB || distance < Math.abs(reachA - reachB)) continue;
+
+        const along = (reachA * reachA - reachB * reachB + distance * distance) / (2 * distance);
+        const across = Math.sqrt(Math.max(reachA * reachA - along * along, 0));
+        const midX = a.x + along * dx / distance;
+        const midZ = a.z + along * dz / distance;
+        add(midX - across * dz / distance, midZ + across * dx / distance, baseY);
+        add(midX + across * dz / distance, midZ - across * dx / distance, baseY);
+      }
+    });
+
+    return candidates;
+  }
+
+  isUprightCylinder(box) {
+    return box.shape === 'cylinder' && (box.axis || 'y') === 'y';
+  }
+
+  /**
+   * Slide a point along the negative direction of an axis until it reaches
+   * the nearest face of a placed box or the container wall (plus their gaps)
+   */
+  project(point, axis, placedBoxes) {
+    const [a, b] = ['x', 'y', 'z'].filter(other => other !== axis);
+    const gap = axis === 'y' ? 0 : this.gap;
+    let limit = axis === 'y' ? 0 : -this.container[AXIS_SIZE[axis]] / 2 + this.clearance;
+
+    // Only boxes on the line between the point and the wall can stop it
+    const line = { minX: point.x, maxX: point.x, minY: point.y, maxY: point.y, minZ: point.z, maxZ: point.z };
+    line[`min${axis.toUpperCase()}`] = -Infinity;
+
+    for (const placed of getNearbyBoxes(placedBoxes, line)) {
+      const face = placed[axis] + placed[AXIS_SIZE[axis]] / 2 + gap;
+      if (face > point[axis] + EPSILON || face <= limit) continue;
+
+      const halfA = placed[AXIS_SIZE[a]] / 2;
+      const halfB = placed[AXIS_SIZE[b]] / 2;
+      if (point[a] >= placed[a] - halfA - EPSILON && point[a] < placed[a] + halfA - EPSILON &&
+          point[b] >= placed[b] - halfB - EPSILON && point[b] < placed[b] + halfB - EPSILON) {
+        limit = face;
+      }
+    }
+
+    return { ...point, [axis]: limit };
+  }
+
+  addPoint(point, placedBoxes) {
+    if (point.x >= this.container.width / 2 - this.clearance - EPSILON ||
+        point.y >= this.container.height - EPSILON ||
+        point.z >= this.container.depth / 2 - this.clearance - EPSILON) {
+      return;
+    }
+
+    const key = this.getKey(point);
+    if (this.keys.has(key)) return;
+
+    // A corner can start out buried in a neighbouring box
+    const here = { minX: point.x, maxX: point.x, minY: point.y, maxY: point.y, minZ: point.z, maxZ: point.z };
+    if (getNearbyBoxes(placedBoxes, here).some(placed => this.isInside(point, this.getBounds(placed)))) return;
+
+    this.keys.add(key);
+    this.points.push(point);
+  }
+
+  getBounds(box) {
+    return {
+      minX: box.x - box.width / 2,
+      maxX: box.x + box.width / 2,
+      minY: box.y - box.height / 2,
+      maxY: box.y + box.height / 2,
+      minZ: box.z - box.depth / 2,
+      maxZ: box.z + box.depth / 2
+    };
+  }
+
+  // Half-open test so points lying on a box's far faces stay available
+  isInside(p, bounds) {
+    return p.x >= bounds.minX - EPSILON && p.x < bounds.maxX - EPSILON &&
+           p.y >= bounds.minY - EPSILON && p.y < bounds.maxY - EPSILON &&
+           p.z >= bounds.minZ - EPSILON && p.z < bounds.maxZ - EPSILON;
+  }
+
+  getKey(p) {
+    return `${p.x.toFixed(4)},${p.y.toFixed(4)},${p.z.toFixed(4)}`;
+  }
+}
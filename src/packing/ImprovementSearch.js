@@ -0,0 +1,171 @@
+// Metaheuristic improvement phase run after the constructive search.
+// A solution is a box sequence plus one orientation gene per box:
+//   sequence:     indices into the box list, in placement order
+//   orientations: index into that box's orientation list, or -1 to let the
+//                 placement routine pick any orientation
+// The caller decodes a solution into a layout and scores it (higher is better).
+
+export const IMPROVEMENT_METHODS = {
+  none: 'None',
+  annealing: 'Simulated annealing',
+  genetic: 'Genetic algorithm'
+};
+
+// Annealing schedule: a move 1% worse is accepted half the time at the start. The
+// temperature follows the evaluation count alone, never the clock or the budget, so a
+// run cut short by its time limit is repeated by its number of evaluations
+const START_TEMPERATURE = 0.01 / Math.LN2;
+const END_TEMPERATURE = 0.0001;
+const COOLING_EVALUATIONS = 500;
+
+const POPULATION_SIZE = 12;
+const TOURNAMENT_SIZE = 3;
+
+export class ImprovementSearch {
+  /**
+   * @param {Object} options
+   * @param {Function} options.evaluate - solution => { score, ...layout }
+   * @param {number[]} options.orientationCounts - orientation options per box
+   * @param {Function} options.random - seeded generator returning [0, 1)
+   * @param {number} options.iterations - maximum number of evaluations
+   * @param {number} [options.timeLimitMs] - wall-clock budget in milliseconds (null = none)
+   * @param {Function} [options.onProgress] - (fraction, best) => void
+   */
+  constructor({ evaluate, orientationCounts, random, iterations, timeLimitMs, onProgress }) {
+    this.evaluate = evaluate;
+    this.orientationCounts = orientationCounts;
+    this.random = random;
+    this.iterations = iterations;
+    this.timeLimitMs = timeLimitMs === null || timeLimitMs === undefined ? Infinity : timeLimitMs;
+    this.onProgress = onProgress || (() => {});
+  }
+
+  // After a run, evaluations holds the number of layouts scored and timedOut whether
+  // the time limit stopped the search before its iteration budget
+  run(method, initial) {
+    this.startTime = performance.now();
+    this.evaluations = 0;
+
+    let best;
+    if (method === 'annealing') best = this.anneal(initial);
+    else if (method === 'genetic') best = this.evolve(initial);
+    else throw new Error(`Unknown improvement method: ${method}`);
+
+    this.timedOut = this.evaluations < this.iterations;
+    return best;
+  }
+
+  anneal(initial) {
+    let current = this.score(initial);
+    let best = current;
+
+    while (!this.isExhausted()) {
+      const cooling = Math.min(1, this.evaluations / COOLING_EVALUATIONS);
+      const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, cooling);
+      const candidate = this.score(this.mutate(current.solution));
+      const delta = candidate.score - current.score;
+
+      if (delta >= 0 || this.random() < Math.exp(delta / temperature)) {
+        current = candidate;
+      }
+      if (current.score > best.score) best = current;
+
+      this.onProgress(this.getElapsedFraction(), best);
+    }
+
+    return best;
+  }
+
+  evolve(initial) {
+    let population = [this.score(initial)];
+    while (population.length < POPULATION_SIZE && !this.isExhausted()) {
+      population.push(this.score(this.mutate(initial)));
+    }
+
+    let best = population.reduce((a, b) => (b.score > a.score ? b : a));
+
+    while (!this.isExhausted()) {
+      const next = [best]; // Elitism: the best layout always survives
+
+      while (next.length < POPULATION_SIZE && !this.isExhausted()) {
+        const child = this.crossover(this.select(population).solution, this.select(population).solution);
+        const scored = this.score(this.random() < 0.5 ? this.mutate(child) : child);
+        if (scored.score > best.score) best = scored;
+        next.push(scored);
+
+        this.onProgress(this.getElapsedFraction(), best);
+      }
+
+      population = next;
+    }
+
+    return best;
+  }
+
+  score(solution) {
+    this.evaluations++;
+    return { ...this.evaluate(solution), solution };
+  }
+
+  // Random neighbour: swap two boxes, move one box, or change one orientation
+  mutate(solution) {
+    const sequence = [...solution.sequence];
+    const orientations = [...solution.orientations];
+    const n = sequence.length;
+    const roll = this.random();
+
+    if (n > 1 && roll < 0.4) {
+      const i = this.randomInt(n);
+      const j = this.randomInt(n);
+      [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+    } else if (n > 1 && roll < 0.7) {
+      const [moved] = sequence.splice(this.randomInt(n), 1);
+      sequence.splice(this.randomInt(n), 0, moved);
+    } else if (n > 0) {
+      const box = this.randomInt(n);
+      // -1 hands the choice back to the placement routine
+      orientations[box] = this.randomInt(this.orientationCounts[box] + 1) - 1;
+    }
+
+    return { sequence, orientations };
+  }
+
+  // Order crossover (OX1) on the sequence, uniform crossover on orientations
+  crossover(a, b) {
+    const n = a.sequence.length;
+    const start = this.randomInt(n);
+    const end = start + this.randomInt(n - start + 1);
+    const slice = a.sequence.slice(start, end);
+    const taken = new Set(slice);
+    const rest = b.sequence.filter(index => !taken.has(index));
+
+    return {
+      sequence: [...rest.slice(0, start), ...slice, ...rest.slice(start)],
+      orientations: a.orientations.map((gene, i) => (this.random() < 0.5 ? gene : b.orientations[i]))
+    };
+  }
+
+  select(population) {
+    let winner = null;
+    for (let i = 0; i < TOURNAMENT_SIZE; i++) {
+      const entrant = population[this.randomInt(population.length)];
+      if (!winner || entrant.score > winner.score) winner = entrant;
+    }
+    return winner;
+  }
+
+  // Share of the budget used, by evaluations or by time, whichever is further along
+  getElapsedFraction() {
+    const byIterations = this.evaluations / this.iterations;
+    const byTime = (performance.now() - this.startTime) / this.timeLimitMs;
+    return Math.min(1, Math.max(byIterations, byTime));
+  }
+
+  isExhausted() {
+    return this.getElapsedFraction() >= 1;
+  }
+
+  randomInt(n) {
+    return Math.floor(this.random() * n);
+  }
+}
@@ -0,0 +1,124 @@
+// Lower bounds on how small a packing can possibly be, so a result can be
+// reported against a proven minimum instead of on its own.
+// Bounds are computed on the space inside the wall clearance. Gaps between
+// boxes and keep-out zones only ever need more room, so they are left out.
+//
+// Container volume (some dimensions free to shrink):
+//   - continuous bound: the container holds at least the items' volume
+//   - extent bound: every free dimension is at least the largest item along it
+//   - with one free dimension, also the strip bounds: the items' volume spread
+//     over the fixed cross-section, and the items too big to share a layer,
+//     which must follow each other along the free axis
+// Container count (fixed container, bin packing):
+//   - L0: total volume over the container volume, rounded up
+//   - large items: no two items that are over half the container in every
+//     dimension fit in the same container
+//   - payload: total weight over the container's payload, rounded up
+
+const AXES = [
+  { axis: 'x', dim: 'width' },
+  { axis: 'y', dim: 'height' },
+  { axis: 'z', dim: 'depth' }
+];
+
+// Bounds are proven, so tolerance always goes in favour of a smaller bound
+const EPSILON = 1e-9;
+
+// Volume an item really takes up; a cylinder fills less than its bounding box
+export function getItemVolume(box) {
+  if (box.shape === 'cylinder') {
+    const radius = box.width / 2;
+    return Math.PI * radius * radius * box.height;
+  }
+  return box.width * box.height * box.depth;
+}
+
+/**
+ * Smallest container volume that could hold every box
+ * @param {Object[]} boxes
+ * @param {Object} container - fixed dimensions (null = free) and wallClearance
+ * @param {Function} getOrientations - box => allowed orientations
+ * @returns {number|null} null if some box fits the fixed dimensions in no orientation
+ */
+export function getContainerVolumeBound(boxes, container, getOrientations) {
+  const usable = getUsableSpace(container);
+  const free = AXES.filter(({ dim }) => usable[dim] === null);
+  const orientationLists = getFittingOrientations(boxes, usable, getOrientations);
+  if (!orientationLists) return null;
+
+  const totalVolume = boxes.reduce((sum, box) => sum + getItemVolume(box), 0);
+
+  // Smallest usable size of each free dimension
+  const minimum = {};
+  for (const { dim } of free) {
+    minimum[dim] = Math.max(0, ...orientationLists.map(list => Math.min(...list.map(o => o[dim]))));
+  }
+
+  if (free.length === 1) {
+    const { dim } = free[0];
+    const [a, b] = AXES.filter(entry => entry.dim !== dim).map(entry => entry.dim);
+    const column = orientationLists.reduce((sum, list, i) =>
+      sum + (isLargeItem(boxes[i], list, usable, [a, b]) ? Math.min(...list.map(o => o[dim])) : 0), 0);
+
+    minimum[dim] = Math.max(minimum[dim], totalVolume / (usable[a] * usable[b]), column);
+  }
+
+  // Back to outer dimensions: the clearance sits at both side walls
+  const walls = 2 * (container.wallClearance || 0);
+  const outer = AXES.reduce((product, { dim }) => {
+    if (container[dim] !== null) return product * container[dim];
+    return product * (minimum[dim] + (dim === 'height' ? 0 : walls));
+  }, 1);
+
+  return Math.max(outer, totalVolume);
+}
+
+/**
+ * Fewest copies of a fixed container that could hold every box
+ * @param {Object[]} boxes
+ * @param {Object} container - width, height, depth, wallClearance and maxPayload
+ * @param {Function} getOrientations - box => allowed orientations
+ * @returns {number|null} null if some box fits the container in no orientation
+ */
+export function getContainerCountBound(boxes, container, getOrientations) {
+  const usable = getUsableSpace(container);
+  const orientationLists = getFittingOrientations(boxes, usable, getOrientations);
+  if (!orientationLists) return null;
+
+  const totalVolume = boxes.reduce((sum, box) => sum + getItemVolume(box), 0);
+  const volumeBound = Math.ceil(totalVolume / (usable.width * usable.height * usable.depth) - EPSILON);
+
+  const largeItems = orientationLists.filter((list, i) =>
+    isLargeItem(boxes[i], list, usable, ['width', 'height', 'depth'])).length;
+
+  const totalWeight = boxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+  const payloadBound = container.maxPayload ? Math.ceil(totalWeight / container.maxPayload - EPSILON) : 0;
+
+  return Math.max(volumeBound, largeItems, payloadBound, boxes.length > 0 ? 1 : 0);
+}
+
+// Room for boxes inside the wall clearance; free dimensions stay null
+function getUsableSpace(container) {
+  const walls = 2 * (container.wallClearance || 0);
+  const inset = (dim, amount) => (container[dim] === null || container[dim] === undefined ? null : container[dim] - amount);
+  return {
+    width: inset('width', walls),
+    height: inset('height', 0),
+    depth: inset('depth', walls)
+  };
+}
+
+// Orientations of each box that fit the fixed dimensions, or null if a box fits in none
+function getFittingOrientations(boxes, usable, getOrientations) {
+  const lists = boxes.map(box => getOrientations(box).filter(o =>
+    AXES.every(({ dim }) => usable[dim] === null || o[dim] <= usable[dim] + EPSILON)));
+  return lists.every(list => list.length > 0) ? lists : null;
+}
+
+// Over half the space along every listed dimension, however it is turned, so no
+// two such items can sit side by side along any of them. Cylinders are left out:
+// round items can pass each other diagonally.
+function isLargeItem(box, orientations, usable, dims) {
+  if (box.shape === 'cylinder') return false;
+  return orientations.every(o => dims.every(dim => o[dim] > usable[dim] / 2 + EPSILON));
+}
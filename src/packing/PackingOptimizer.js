@@ -1,12 +1,17 @@
+import { pack, expandBoxes } from './pack.js';
+
+// Runs pack() for the app: a progress modal with a cancel button, live layouts in
+// the viewport and the result stored in AppState
 export class PackingOptimizer {
   constructor(appState) {
     this.appState = appState;
   }
-  
-  optimize() {
-    const boxes = this.appState.getExpandedBoxes();
-    const constraints = this.appState.containerConstraints;
-    
+
+  // options.strategy: a registered strategy name or 'auto' (defaults to the app setting)
+  optimize(options = {}) {
+    const packOptions = this.appState.getPackOptions();
+    if (options.strategy) packOptions.strategy = options.strategy;
+
     // Create status modal
     let modal = document.querySelector('.optimization-modal');
     if (!modal) {
@@ -14,10 +19,10 @@ export class PackingOptimizer {
         modal.className = 'optimization-modal';
         document.body.appendChild(modal);
     }
-    
+
     modal.style.display = 'flex';
     requestAnimationFrame(() => modal.style.opacity = '1');
-    
+
     modal.innerHTML = `
       <div class="optimization-content">
         <h3>Optimizing Layout...</h3>
@@ -25,77 +30,63 @@ export class PackingOptimizer {
         <div class="progress-bar">
           <div class="progress-fill" id="opt-progress" style="width: 0%"></div>
         </div>
+        <button class="cancel-btn" id="opt-cancel-btn">Cancel</button>
       </div>
     `;
-    
-    // Create Worker
-    const worker = new Worker(new URL('./optimizer.worker.js', import.meta.url), { type: 'module' });
-    
-    worker.onmessage = (e) => {
-      const { type, message, progress, result, error } = e.data;
-      
-      if (type === 'progress') {
-        const textEl = document.getElementById('opt-status-text');
-        const fillEl = document.getElementById('opt-progress');
-        if (textEl) textEl.textContent = message;
-        if (fillEl) fillEl.style.width = `${progress}%`;
-      }
-      
-      if (type === 'complete' || type === 'error') {
-        // Cleanup UI
-        setTimeout(() => {
-            modal.style.opacity = '0';
-            setTimeout(() => {
-              if (modal.parentNode) modal.remove();
-            }, 300);
-        }, 500);
-        
-        worker.terminate();
 
-        if (type === 'error' || (result && !result.success)) {
-            console.error(error || (result && result.error));
-            this.appState.setPlacedBoxes([], {
-                placedCount: 0,
-                totalBoxes: boxes.length,
-                volumeUtilization: 0,
-                timeMs: 0,
-                error: typeof error === 'string' ? error : (result && result.error) || 'Unknown error'
-            });
-            return;
-        }
+    const controller = new AbortController();
+    modal.querySelector('#opt-cancel-btn').addEventListener('click', () => controller.abort());
 
-        // Apply results
-        this.appState.updateContainer(result.container);
-        
-        // Stats
-        const totalBoxes = boxes.length;
-        const placedCount = result.placedBoxes.length;
-        const placedBoxVolume = result.placedBoxes.reduce((sum, box) => 
-            sum + (box.width * box.height * box.depth), 0);
-        const containerVolume = result.container.width * result.container.height * result.container.depth;
-        const volumeUtilization = (placedBoxVolume / containerVolume) * 100;
+    const onProgress = ({ message, progress }) => {
+      const textEl = document.getElementById('opt-status-text');
+      const fillEl = document.getElementById('opt-progress');
+      if (textEl) textEl.textContent = message;
+      if (fillEl) fillEl.style.width = `${progress}%`;
+    };
 
-        const stats = {
-          placedCount,
-          totalBoxes,
-          volumeUtilization,
-          timeMs: result.executionTime,
-          containerSize: `${result.container.width} × ${result.container.height} × ${result.container.depth}`
-        };
-        
-        this.appState.setPlacedBoxes(result.placedBoxes, stats);
-      }
+    const onBest = (layout) => {
+      // Let the layout show through while it improves
+      modal.classList.add('live');
+      this.appState.setProgressLayout(layout.placedBoxes, layout.container, layout.containers);
+    };
+
+    const closeModal = (delay) => {
+      setTimeout(() => {
+          modal.style.opacity = '0';
+          setTimeout(() => {
+            if (modal.parentNode) modal.remove();
+          }, 300);
+      }, delay);
     };
-    
-    // Start worker
-    worker.postMessage({
-      type: 'start',
-      params: {
-        boxes,
-        constraints,
-        allowRotation: this.appState.allowRotation,
-        maxAttempts: 3
+
+    const onDone = (result) => {
+      closeModal(result.cancelled ? 0 : 500);
+
+      // Apply results
+      this.appState.updateContainer(result.container);
+      this.appState.setPlacedBoxes(result.placedBoxes, result.stats, result.containers);
+    };
+
+    const onError = (error) => {
+      // Cancelled before any layout was found
+      if (controller.signal.aborted) {
+          closeModal(0);
+          this.appState.cancelOptimization();
+          return;
       }
-    });
+
+      closeModal(500);
+
+      console.error(error);
+      this.appState.setPlacedBoxes([], {
+          placedCount: 0,
+          totalBoxes: expandBoxes(this.appState.boxes).length,
+          volumeUtilization: 0,
+          timeMs: 0,
+          error: error.message || 'Unknown error'
+      });
+    };
+
+    pack(this.appState.boxes, packOptions, { onProgress, onBest, signal: controller.signal }).then(onDone, onError);
   }
 }
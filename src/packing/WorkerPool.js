@@ -0,0 +1,135 @@
+// A fixed set of packing workers sharing one optimization run.
+// The first worker leads: it runs the whole search and sends each batch of Monte
+// Carlo seeds (one binary-search probe, or the final attempts) back here. The
+// batch is split across the other workers; as soon as one of them finds a complete
+// packing (every box placed, balanced when that is checked), and no busy worker still
+// holds an earlier seed (so the result is the one the leader would have found alone),
+// the rest of the batch is dropped and the busy workers are replaced, since a worker
+// in the middle of a packing can only be stopped by terminating it.
+export class WorkerPool {
+  /**
+   * @param {Function} createWorker - () => Worker running optimizer.worker.js
+   * @param {number} [size] - workers in the pool, leader included
+   */
+  constructor(createWorker, size = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4) {
+    this.createWorker = createWorker;
+    this.size = Math.max(1, size);
+    this.leader = null;
+    this.helpers = [];
+    this.resolveRun = null;
+  }
+
+  /**
+   * Run an optimization
+   * @param {Object} params - optimizer.worker.js parameters
+   * @param {Function} onMessage - receives the leader's 'progress' and 'best' messages
+   * @returns {Promise<Object>} the leader's final 'complete' or 'error' message,
+   *   or { type: 'cancelled' } after cancel()
+   */
+  run(params, onMessage) {
+    this.terminate();
+    this.leader = this.createWorker();
+    this.helpers = Array.from({ length: this.size - 1 }, () => ({ worker: this.createWorker(), job: null }));
+
+    return new Promise(resolve => {
+      this.resolveRun = resolve;
+
+      this.leader.onmessage = async (e) => {
+        const { type } = e.data;
+
+        if (type === 'attempts') {
+          const attempts = await this.runAttempts(e.data);
+          if (this.leader) {
+            this.leader.postMessage({ type: 'attempts-result', jobId: e.data.jobId, attempts });
+          }
+        } else if (type === 'complete' || type === 'error') {
+          this.terminate();
+          resolve(e.data);
+        } else {
+          onMessage(e.data);
+        }
+      };
+
+      this.leader.onerror = (err) => {
+        this.terminate();
+        resolve({ type: 'error', error: err.message || 'Worker failed' });
+      };
+
+      this.leader.postMessage({ type: 'start', params, parallel: this.helpers.length > 0 });
+    });
+  }
+
+  // Split a batch of seeds across the helpers; resolves with every attempt that ran
+  runAttempts({ params, container, stream, seeds, timeLeftMs }) {
+    // Seed i goes to helper i mod n, so the early (less perturbed) seeds run first everywhere
+    const chunks = this.helpers.map((_, index) => seeds.filter((_, i) => i % this.helpers.length === index));
+    const attempts = [];
+
+    return new Promise(resolve => {
+      let running = 0;
+      let done = false;
+
+      const finish = () => {
+        done = true;
+        this.helpers.forEach(helper => {
+          if (helper.job) this.replaceHelper(helper);
+        });
+        // Like a run on one thread, the batch ends at its first complete attempt
+        const firstComplete = Math.min(...attempts.filter(attempt => attempt.complete).map(attempt => attempt.seed));
+        resolve(attempts.filter(attempt => attempt.seed <= firstComplete));
+      };
+
+      // A helper that fails just contributes nothing to the batch
+      const settle = (helper, job, results) => {
+        if (done || helper.job !== job) return;
+        helper.job = null;
+        running--;
+        attempts.push(...results);
+
+        // Complete as the worker judged it: every box placed, and balanced when that is checked
+        const complete = attempts.filter(attempt => attempt.complete);
+        const firstComplete = Math.min(...complete.map(attempt => attempt.seed));
+        const isSettled = this.helpers.every((other, index) => !other.job || chunks[index][0] > firstComplete);
+        if ((complete.length > 0 && isSettled) || running === 0) finish();
+      };
+
+      this.helpers.forEach((helper, index) => {
+        if (chunks[index].length === 0) return;
+        running++;
+
+        const job = {};
+        helper.job = job;
+        helper.worker.onmessage = (e) => {
+          if (e.data.type === 'attempts-result') settle(helper, job, e.data.attempts);
+          else if (e.data.type === 'error') settle(helper, job, []);
+        };
+        helper.worker.onerror = () => settle(helper, job, []);
+        helper.worker.postMessage({ type: 'attempts', params, container, stream, seeds: chunks[index], timeLeftMs });
+      });
+
+      if (running === 0) resolve(attempts);
+    });
+  }
+
+  // Stop a helper that is still working on a batch that is no longer needed
+  replaceHelper(helper) {
+    helper.worker.terminate();
+    helper.worker = this.createWorker();
+    helper.job = null;
+  }
+
+  // Stop the run where it is
+  cancel() {
+    const resolve = this.resolveRun;
+    this.terminate();
+    if (resolve) resolve({ type: 'cancelled' });
+  }
+
+  terminate() {
+    if (this.leader) this.leader.terminate();
+    this.helpers.forEach(helper => helper.worker.terminate());
+    this.leader = null;
+    this.helpers = [];
+    this.resolveRun = null;
+  }
+}
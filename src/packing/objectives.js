@@ -0,0 +1,81 @@
+// What the container search minimizes when it sizes the free dimensions.
+// An objective is a set of weights over the measures below; each measure is
+// divided by its value for a cube holding exactly the boxes' volume, so the
+// weights compare dimensionless figures whatever the unit or load size.
+
+export const OBJECTIVE_MEASURES = {
+  volume: { label: 'volume', measure: ({ width, height, depth }) => width * height * depth, power: 3 },
+  height: { label: 'height', measure: ({ height }) => height, power: 1 },
+  footprint: { label: 'footprint', measure: ({ width, depth }) => width * depth, power: 2 },
+  surface: { label: 'surface area', measure: ({ width, height, depth }) => 2 * (width * height + width * depth + height * depth), power: 2, cube: 6 }
+};
+
+// Presets offered in the settings; 'weighted' uses the user's own weights
+export const OBJECTIVES = {
+  volume: { label: 'Minimum volume', weights: { volume: 1 } },
+  height: { label: 'Minimum height (pallets)', weights: { height: 1 } },
+  footprint: { label: 'Minimum floor footprint', weights: { footprint: 1 } },
+  surface: { label: 'Minimum surface area (carton cost)', weights: { surface: 1 } },
+  weighted: { label: 'Weighted combination', weights: null }
+};
+
+// Weights of a preset, or the given weights for 'weighted'
+export function getObjectiveWeights(name, weights) {
+  const preset = OBJECTIVES[name];
+  if (!preset) {
+    throw new Error(`Unknown optimization objective: ${name}`);
+  }
+  return preset.weights || weights;
+}
+
+// Preset label for a set of weights, or the weighted sum spelled out
+export function describeObjective(weights) {
+  const used = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const preset = Object.values(OBJECTIVES).find(objective => objective.weights &&
+    used.length === 1 && objective.weights[used[0][0]] === used[0][1]);
+  if (preset) return preset.label;
+
+  return used.map(([measure, weight]) => `${weight} × ${OBJECTIVE_MEASURES[measure].label}`).join(' + ');
+}
+
+// Difference of two figures, 0 when they differ only by floating point noise
+const compareValues = (a, b) => (Math.abs(a - b) > 1e-9 * Math.max(Math.abs(a), Math.abs(b)) ? a - b : 0);
+
+/**
+ * Objective for a load: score(container) is the weighted sum of the normalized
+ * measures (lower is better), efficiency(container) is its inverse scaled so a
+ * container matching the reference cube scores 1; for the volume objective that
+ * is exactly the volume utilization. compare(a, b) orders containers by score,
+ * breaking ties (e.g. the floor shape under a height objective) in favour of the
+ * smaller, then the more compact container.
+ * @param {Object} weights - measure name => weight, e.g. { volume: 1, height: 2 }
+ * @param {number} boxVolume - total volume of the boxes
+ */
+export function createObjective(weights, boxVolume) {
+  const terms = Object.entries(weights || {}).filter(([, weight]) => weight > 0);
+  if (terms.length === 0) {
+    throw new Error('The optimization objective needs at least one positive weight');
+  }
+  terms.forEach(([measure]) => {
+    if (!OBJECTIVE_MEASURES[measure]) throw new Error(`Unknown objective measure: ${measure}`);
+  });
+
+  const side = Math.cbrt(boxVolume) || 1;
+  const normalized = terms.map(([measure, weight]) => {
+    const { measure: value, power, cube = 1 } = OBJECTIVE_MEASURES[measure];
+    return { weight, value, reference: cube * Math.pow(side, power) };
+  });
+  const totalWeight = normalized.reduce((sum, term) => sum + term.weight, 0);
+  const score = container => normalized.reduce((sum, term) => sum + term.weight * term.value(container) / term.reference, 0);
+
+  const { volume, surface } = OBJECTIVE_MEASURES;
+
+  return {
+    weights: Object.fromEntries(terms),
+    score,
+    efficiency: container => totalWeight / score(container),
+    compare: (a, b) => compareValues(score(a), score(b)) ||
+      compareValues(volume.measure(a), volume.measure(b)) ||
+      compareValues(surface.measure(a), surface.measure(b))
+  };
+}
@@ -1,5 +1,26 @@
-// This worker handles the CPU-intensive packing optimization
+// This worker handles the CPU-intensive packing optimization.
+// Messages out: 'progress', 'best' (the best layout found so far, for live display
+// and to fall back on when the run is cancelled), then 'complete' or 'error'.
 import { PhysicsSolver } from '../physics/PhysicsSolver.js';
+import { SpatialGrid } from '../physics/SpatialGrid.js';
+import { ExtremePointSet } from './ExtremePoints.js';
+import { getStrategy, getStrategyNames } from './strategies.js';
+import { ImprovementSearch, IMPROVEMENT_METHODS } from './ImprovementSearch.js';
+import { getAllowedOrientations } from './orientations.js';
+import { getContainerVolumeBound, getContainerCountBound } from './LowerBounds.js';
+import { createRandom, createSeed, deriveSeed } from './random.js';
+import { createObjective } from './objectives.js';
+import { UNITS, DEFAULT_INCREMENTS, formatDimensions, formatLength } from '../state/units.js';
+
+// Improvement phase layouts are streamed at most this often
+const BEST_INTERVAL_MS = 250;
+
+// Room the improvement phase adds to each free dimension of the container it decodes
+// solutions into, so that a better order can show up as a smaller load
+const IMPROVEMENT_SLACK = 1.25;
+
+// Random streams of a run, one per phase, derived from the run's seed (see random.js)
+const STREAMS = { search: 1, final: 2, fill: 3, improvement: 4 };
 
 export class PackingWorker {
   constructor() {
@@ -7,25 +28,37 @@ export class PackingWorker {
     this.postMessage = (typeof self !== 'undefined' && self.postMessage) 
       ? self.postMessage.bind(self) 
       : () => {}; // No-op if not in worker context
+    // Runs a batch of seeded packing attempts somewhere else (a WorkerPool);
+    // null runs them here, one after another
+    this.delegateAttempts = null;
   }
 
-  optimize(data) {
-    const { boxes, constraints, allowRotation, maxAttempts, monteCarloConfig } = data;
-    this.allowRotation = allowRotation;
-    
-    // Configuration for algorithm depth
-    this.mcConfig = monteCarloConfig || {
-       searchAttempts: 15, // High depth (Monte Carlo)
-       finalAttempts: 10,
-       useNoise: true
-    };
+  async optimize(data) {
+    const { boxes, multiContainer, catalog, timeBudgetMs } = data;
+    const constraints = this.configure(data);
+    // What the container search minimizes (see objectives.js)
+    this.objective = createObjective(data.objective || { volume: 1 }, boxes.reduce((sum, box) => sum + box.width * box.height * box.depth, 0));
     
     const startTime = performance.now();
+    // Past the deadline the search settles for the best container size found so far;
+    // containers are still enlarged until every box fits
+    this.deadline = timeBudgetMs ? startTime + timeBudgetMs : Infinity;
+    // Smallest complete packing the container search has found
+    this.smallestPacking = null;
     
     // Report start
     this.postMessage({ type: 'progress', message: 'Initializing optimization...', progress: 0 });
 
-    const result = this.findMinimumContainer(boxes, constraints);
+    const isFixedContainer = constraints.width !== null && constraints.height !== null && constraints.depth !== null;
+    const isMultiContainer = (multiContainer && isFixedContainer) || Boolean(catalog);
+    let result;
+    if (catalog) {
+      result = this.selectFromCatalog(boxes, catalog);
+    } else if (isMultiContainer) {
+      result = this.packMultipleContainers(boxes, constraints);
+    } else {
+      result = await this.findMinimumContainer(boxes, constraints);
+    }
 
     if (!result) {
       return {
@@ -34,18 +67,152 @@ export class PackingWorker {
       };
     }
 
+    // The improvement phase works on a single container sized by the search
+    if (this.improvementConfig.method !== 'none' && !isMultiContainer) {
+      if (this.isOutOfTime()) {
+        this.improvementRun = { evaluations: 0, timedOut: true };
+      } else {
+        result = this.improvePacking(boxes, result, constraints);
+      }
+    }
+
+    if (this.deliveryMode && this.door !== this.loadingDoor) {
+      result = this.mirrorLoad(result);
+    }
+
+    if (this.balance) {
+      result = this.balanceLoad(result);
+    }
+
+    this.postMessage({ type: 'progress', message: 'Done!', progress: 100 });
+
     const endTime = performance.now();
     const timeMs = Math.round(endTime - startTime);
+    const containers = result.containers || [result.container];
 
     return {
       success: true,
-      container: result.container,
-      placedBoxes: result.placedBoxes,
+      ...this.describeLayout(result),
+      containerCount: containers.length,
+      catalogSelection: result.catalogSelection,
+      balance: this.getBalanceReport(result.placedBoxes, containers),
+      voidFill: this.reportVoidFill ? this.getVoidFill(result.placedBoxes, containers) : null,
+      lowerBound: catalog ? null : this.getLowerBound(boxes, result, constraints, isMultiContainer),
+      timedOut: this.isOutOfTime(),
       executionTime: timeMs
     };
   }
 
-  findMinimumContainer(boxes, constraints) {
+  // Everything needed to repeat the run: the same seed and settings give the same layout
+  // (unless a time limit cut a phase short). The improvement phase reports the layouts it
+  // scored; running that many iterations without a time limit repeats it exactly
+  getRunParameters() {
+    const { method, iterations, timeLimitMs } = this.improvementConfig;
+    const { evaluations, timedOut } = this.improvementRun || { evaluations: 0, timedOut: false };
+    return {
+      seed: this.seed,
+      strategy: this.strategy,
+      searchAttempts: this.mcConfig.searchAttempts,
+      finalAttempts: this.mcConfig.finalAttempts,
+      useNoise: this.mcConfig.useNoise,
+      objective: this.objective.weights,
+      improvement: { method, iterations, timeLimitMs, evaluations, timedOut }
+    };
+  }
+
+  // Seed of one of the run's random streams
+  getStream(phase) {
+    return deriveSeed(this.seed, STREAMS[phase]);
+  }
+
+  // A layout as sent to the page, one entry per container
+  describeLayout(layout) {
+    return {
+      container: layout.container,
+      containers: layout.containers || [layout.container],
+      // supportedBy (which references other boxes) and the load moments are
+      // load-graph bookkeeping
+      placedBoxes: layout.placedBoxes.map(({ supportedBy, loadMomentX, loadMomentZ, ...box }) => box),
+      strategy: layout.strategy,
+      run: this.getRunParameters()
+    };
+  }
+
+  // Stream a better layout to the page, facing the real door
+  reportBest(layout) {
+    const facing = this.deliveryMode && this.door !== this.loadingDoor ? this.mirrorLoad(layout) : layout;
+    this.postMessage({ type: 'best', result: this.describeLayout(facing) });
+  }
+
+  // During the container search a complete packing is only better if its container scores
+  // lower on the objective
+  recordPacking(layout) {
+    if (this.smallestPacking && this.objective.compare(layout.container, this.smallestPacking.container) >= 0) return;
+
+    this.smallestPacking = layout;
+    this.reportBest(layout);
+  }
+
+  isOutOfTime() {
+    return performance.now() >= this.deadline;
+  }
+
+  // Apply the run's settings to this worker and return the container constraints.
+  // Pool workers are configured the same way before running attempts for the leader.
+  configure(data) {
+    const { seed, units, roundingIncrement, allowRotation, monteCarloConfig, strategy, improvement, maxPayload, balance, deliveryMode, door, boxGap, wallClearance, reportVoidFill, keepOutZones } = data;
+    // Unit of every length in the run (for messages) and the step the container is rounded up to
+    this.units = UNITS[units] ? units : 'in';
+    this.roundingIncrement = roundingIncrement > 0 ? roundingIncrement : DEFAULT_INCREMENTS[this.units];
+    // Horizontal gap between boxes and clearance from the side walls; like the payload,
+    // they travel with every container so PhysicsSolver and the extreme points can apply them
+    this.clearance = { boxGap: boxGap || 0, wallClearance: wallClearance || 0 };
+    this.reportVoidFill = Boolean(reportVoidFill);
+    // Fixed obstacles inside the container (wheel arches, posts), positioned from its back-left floor corner
+    this.keepOutZones = keepOutZones || [];
+    // Rotation rule for boxes that do not carry their own (see orientations.js)
+    this.defaultRotation = allowRotation === false ? 'none' : 'any';
+    this.strategy = strategy || 'auto';
+    // Allowed center-of-gravity region and axle limits (null = weight distribution is not checked)
+    this.balance = balance || null;
+    // Multi-stop delivery: load in reverse stop order so each stop is unloaded through the door.
+    // Packing always runs towards a front or right door (the extreme points grow away from
+    // the back-left corner); back and left doors are mirrored afterwards
+    this.deliveryMode = Boolean(deliveryMode);
+    this.door = door || 'front';
+    this.loadingDoor = this.door === 'back' ? 'front' : this.door === 'left' ? 'right' : this.door;
+
+    if (this.strategy !== 'auto' && !getStrategy(this.strategy)) {
+      throw new Error(`Unknown packing strategy: ${this.strategy}`);
+    }
+    
+    this.deadline = Infinity;
+    
+    // Master seed of the run (32-bit); a new one is drawn when none is given
+    this.seed = seed !== null && seed !== undefined ? seed >>> 0 : createSeed();
+    
+    // Configuration for algorithm depth
+    this.mcConfig = monteCarloConfig || {
+       searchAttempts: 15, // High depth (Monte Carlo)
+       finalAttempts: 10,
+       useNoise: true
+    };
+
+    // Metaheuristic improvement phase (ImprovementSearch); stops at whichever budget runs
+    // out first (timeLimitMs null = iterations only)
+    this.improvementConfig = {
+       method: 'none',
+       iterations: 300,
+       timeLimitMs: 10000,
+       ...improvement
+    };
+    // Evaluations done by the improvement phase and whether time ended it
+    this.improvementRun = null;
+
+    return { ...data.constraints, maxPayload: maxPayload === undefined ? null : maxPayload, ...this.clearance };
+  }
+
+  async findMinimumContainer(boxes, constraints) {
     // Identify which dimensions are unconstrained
     const unconstrainedDims = [];
     if (constraints.width === null) unconstrainedDims.push('width');
@@ -56,50 +223,63 @@ export class PackingWorker {
     const totalVolume = boxes.reduce((sum, box) => 
       sum + (box.width * box.height * box.depth), 0);
     
-    // Find the largest box dimension for each axis
+    // No container size helps when the boxes are heavier than the payload
+    const totalWeight = boxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+    if (unconstrainedDims.length > 0 && constraints.maxPayload !== null && totalWeight > constraints.maxPayload) {
+      throw new Error(`Total weight ${totalWeight} exceeds the container payload of ${constraints.maxPayload}`);
+    }
+    
+    // Find the largest box dimension for each axis (plus the clearance at both side walls)
+    const walls = 2 * constraints.wallClearance;
     const maxBoxDims = {
-      width: Math.max(...boxes.map(b => b.width)),
+      width: Math.max(...boxes.map(b => b.width)) + walls,
       height: Math.max(...boxes.map(b => b.height)),
-      depth: Math.max(...boxes.map(b => b.depth))
+      depth: Math.max(...boxes.map(b => b.depth)) + walls
     };
     
     // Start with initial estimates for unconstrained dimensions
     let currentContainer = {
       width: constraints.width || maxBoxDims.width,
       height: constraints.height || maxBoxDims.height,
-      depth: constraints.depth || maxBoxDims.depth
+      depth: constraints.depth || maxBoxDims.depth,
+      maxPayload: constraints.maxPayload,
+      boxGap: constraints.boxGap,
+      wallClearance: constraints.wallClearance
     };
 
-    // Helper to calculate volume of current container
-    const getContainerVolume = (c) => c.width * c.height * c.depth;
-
-    // Estimate unconstrained dimensions based on volume
-    const constrainedVolume = 
-      (constraints.width || 1) * 
-      (constraints.height || 1) * 
-      (constraints.depth || 1);
-      
+    // The objective decides the container's shape: its favourite shape for the boxes' volume
+    // is scaled up until the boxes fit, then each free dimension is squeezed on its own,
+    // always taking next the one whose squeeze could lower the objective the most
     if (unconstrainedDims.length > 0) {
-      const remainingVolume = totalVolume * 1.5; // Add 50% buffer
-      // If we have constraints, adjust estimate logic
-      // Simplified: assume missing dims share remaining needed volume
-      let volumeToDistribute = remainingVolume; 
-      // Reduce initial buffer from 1.5 to 1.1 for tighter starting estimates
-      const volumePerDim = Math.pow((totalVolume * 1.1) / constrainedVolume, 1 / unconstrainedDims.length);
-      
-      unconstrainedDims.forEach(dim => {
-        currentContainer[dim] = Math.max(maxBoxDims[dim], Math.ceil(volumePerDim));
+      const shape = this.getStartingShape(unconstrainedDims, currentContainer, maxBoxDims, totalVolume);
+      const scaled = factor => ({
+        ...currentContainer,
+        ...Object.fromEntries(unconstrainedDims.map(dim => [dim, Math.max(maxBoxDims[dim], shape[dim] * factor)]))
       });
+      
+      this.postMessage({ type: 'progress', message: 'Optimizing container shape...', progress: 10 });
+      const factor = await this.binarySearchContainer(
+        boxes,
+        scaled,
+        1,
+        3,
+        // 1% is enough: the squeezes below refine each dimension
+        0.01,
+        factor => formatDimensions(scaled(factor), this.units),
+        10,
+        10
+      );
+      currentContainer = scaled(factor);
     }
 
-    // Binary search on each unconstrained dimension
-    let dimIndex = 0;
-    const totalDimProgressRange = 40; // 10% to 50%
-    const dimRange = totalDimProgressRange / unconstrainedDims.length;
+    const totalDimProgressRange = 30; // 20% to 50%
+    const dimRange = totalDimProgressRange / Math.max(unconstrainedDims.length, 1);
+    const remainingDims = [...unconstrainedDims];
     
-    for (const dim of unconstrainedDims) {
-      const dimStartProgress = 10 + (dimIndex * dimRange);
-      dimIndex++;
+    for (let dimIndex = 0; remainingDims.length > 0; dimIndex++) {
+      const dim = this.getNextSearchDimension(remainingDims, currentContainer, maxBoxDims);
+      remainingDims.splice(remainingDims.indexOf(dim), 1);
+      const dimStartProgress = 20 + (dimIndex * dimRange);
       
       this.postMessage({ 
         type: 'progress', 
@@ -107,38 +287,50 @@ export class PackingWorker {
         progress: Math.floor(dimStartProgress)
       });
       
-      currentContainer[dim] = this.binarySearchDimension(
+      // Below the boxes' own volume nothing fits, whatever the order of the dimensions
+      const others = ['width', 'height', 'depth'].filter(other => other !== dim).reduce((product, other) => product * currentContainer[other], 1);
+      currentContainer[dim] = await this.binarySearchDimension(
         boxes,
         currentContainer,
         dim,
-        maxBoxDims[dim],
-        Math.max(currentContainer[dim] * 3, maxBoxDims[dim] * 5),
+        Math.min(currentContainer[dim], Math.max(maxBoxDims[dim], totalVolume / others)),
+        currentContainer[dim],
         dimStartProgress,
         dimRange
       );
     }
     
+    // Out of time: settle for the smallest complete packing the search has seen, cut to its
+    // load (it may come from an early, oversized probe)
+    if (this.isOutOfTime() && this.smallestPacking) {
+      return this.roundContainer(this.smallestPacking, unconstrainedDims);
+    }
+
     this.postMessage({ type: 'progress', message: 'Finalizing packing (Monte Carlo)...', progress: 50 });
 
     // Final optimization attempt with found dimensions
     // Try multiple seeds and pick best
     let bestPlaced = [];
-    // Loop based on config
-    const iterations = this.mcConfig.finalAttempts;
+    let bestStrategy = null;
+    const attempts = await this.runAttempts(boxes, currentContainer, 'final', this.mcConfig.finalAttempts, 50, 10);
     
-    for(let i=0; i < iterations; i++) {
-       this.postMessage({ 
-           type: 'progress', 
-           message: `Finalizing packing (Seed ${i+1}/${iterations})...`, 
-           progress: 50 + Math.floor((i / iterations) * 10)
-       });
-
-       const p = this.attemptPacking(boxes, currentContainer, i);
-       if(p.length > bestPlaced.length) bestPlaced = p;
-       if(bestPlaced.length === boxes.length) break;
+    for (const p of attempts) {
+       if(!bestStrategy || this.isBetterPacking(p.placedBoxes, bestPlaced, currentContainer)) {
+         bestPlaced = p.placedBoxes;
+         bestStrategy = p.strategy;
+       }
+    }
+    if (this.isCompletePacking(bestPlaced, boxes, currentContainer)) {
+      this.recordPacking({ container: { ...currentContainer }, placedBoxes: bestPlaced, strategy: bestStrategy });
     }
     let placedBoxes = bestPlaced;
     
+    // The final attempts can miss a packing the search found at this size; that one beats
+    // any expanded container
+    if (placedBoxes.length < boxes.length && this.smallestPacking) {
+      return this.roundContainer(this.smallestPacking, unconstrainedDims);
+    }
+    
     // Iterative expansion logic
     if (placedBoxes.length < boxes.length && unconstrainedDims.length > 0) {
       let attempts = 0;
@@ -152,43 +344,542 @@ export class PackingWorker {
             progress: 60 + Math.floor((attempts / MAX_EXPANSION_ATTEMPTS) * 30)
         });
 
-        // Expand unconstrained dimensions
+        // Expand unconstrained dimensions by 10%, or one rounding increment when that is
+        // more, and keep them on the increment
         unconstrainedDims.forEach(dim => {
-          currentContainer[dim] = Math.ceil(currentContainer[dim] * 1.1);
-          if (currentContainer[dim] === currentContainer[dim] / 1.1) {
-             currentContainer[dim] += 1;
-          }
+          const step = Math.max(currentContainer[dim] * 0.1, this.roundingIncrement);
+          currentContainer[dim] = this.roundUpToIncrement(currentContainer[dim] + step);
         });
         
         // Expansion uses simple single attempt to be fast? Or should it use MC?
         // Let's stick to single attempt for expansion to avoid being too slow, 
         // or maybe a small number. Original code used attemptPacking(..., 0).
         // Let's use config.
-        placedBoxes = this.attemptPacking(boxes, currentContainer, 0); 
+        const expanded = this.attemptPacking(boxes, currentContainer, this.getStream('final'), 0);
+        placedBoxes = expanded.placedBoxes;
+        bestStrategy = expanded.strategy;
       }
     }
     
-    // Final rounding to nearest 0.125 increment
-    const increment = 0.125;
+    // An incomplete load keeps the whole expanded container
+    const result = { container: currentContainer, placedBoxes, strategy: bestStrategy };
+    return this.roundContainer(result, placedBoxes.length === boxes.length ? unconstrainedDims : []);
+  }
+
+  // Final rounding up to the project's rounding increment (e.g. 1/8 in or 1 cm). The
+  // given free dimensions are rounded from the load's extents rather than from the
+  // search's last probe, so a load already on the increment keeps its exact size
+  roundContainer(result, dims = []) {
+    const extents = result.placedBoxes.length > 0
+      ? { ...result.container, ...this.getLoadExtents(result.placedBoxes, result.container, dims) }
+      : result.container;
+    const rounded = {};
     ['width', 'height', 'depth'].forEach(dim => {
-      // Ceil to increment
-      currentContainer[dim] = Math.ceil(currentContainer[dim] / increment) * increment;
-      // Fix floating point precision issues (e.g. 1.0000000001 -> 1)
-      currentContainer[dim] = parseFloat(currentContainer[dim].toFixed(4));
+      rounded[dim] = this.roundUpToIncrement(extents[dim]);
     });
 
-    this.postMessage({ type: 'progress', message: 'Done!', progress: 100 });
-    return { container: currentContainer, placedBoxes };
+    return this.resizeContainer(result, rounded);
+  }
+
+  roundUpToIncrement(length) {
+    const increment = this.roundingIncrement;
+    // Ceil to increment, fixing floating point precision issues (e.g. 1.0000000001 -> 1)
+    return parseFloat((Math.ceil(length / increment - 1e-9) * increment).toPrecision(12));
+  }
+
+  // Free dimensions of the container with the given volume that the objective ranks
+  // best, each at least its lower bound. Candidates are a cube and a grid of shapes on
+  // a log scale; the last free dimension makes up the volume.
+  getStartingShape(dims, container, lowerBounds, targetVolume) {
+    if (dims.length === 0) return {};
+
+    const fixedVolume = ['width', 'height', 'depth']
+      .filter(dim => !dims.includes(dim))
+      .reduce((product, dim) => product * container[dim], 1);
+    const freeVolume = targetVolume / fixedVolume;
+    const lastDim = dims[dims.length - 1];
+    const complete = shape => {
+      const others = dims.slice(0, -1).reduce((product, dim) => product * shape[dim], 1);
+      return { ...shape, [lastDim]: Math.max(lowerBounds[lastDim], freeVolume / others) };
+    };
+
+    const side = Math.pow(freeVolume, 1 / dims.length);
+    let best = { ...container, ...complete(Object.fromEntries(dims.map(dim => [dim, Math.max(lowerBounds[dim], side)]))) };
+
+    const STEPS = 24;
+    const gridDims = dims.slice(0, -1);
+    const visit = (index, shape) => {
+      if (index === gridDims.length) {
+        const candidate = { ...container, ...complete(shape) };
+        if (this.objective.compare(candidate, best) < 0) best = candidate;
+        return;
+      }
+
+      // From the dimension's lower bound up to where the other free dimensions hit theirs
+      const dim = gridDims[index];
+      const low = lowerBounds[dim];
+      const others = dims.filter(other => other !== dim).reduce((product, other) => product * lowerBounds[other], 1);
+      const high = Math.max(low, freeVolume / others);
+      for (let step = 0; step <= STEPS; step++) {
+        visit(index + 1, { ...shape, [dim]: low * Math.pow(high / low, step / STEPS) });
+      }
+    };
+    visit(0, {});
+
+    return Object.fromEntries(dims.map(dim => [dim, best[dim]]));
+  }
+
+  // The free dimension whose squeeze to its lower bound would lower the objective the most
+  // (the earliest of width, height, depth on a tie)
+  getNextSearchDimension(dims, container, lowerBounds) {
+    const score = this.objective.score(container);
+    const gains = dims.map(dim => score - this.objective.score({ ...container, [dim]: lowerBounds[dim] }));
+    const best = Math.max(...gains);
+    return dims[gains.findIndex(gain => gain >= best - Math.abs(best) * 1e-9)];
+  }
+
+  // Change container dimensions while keeping the load against the back-left corner of the floor
+  resizeContainer(result, dimensions) {
+    const container = { ...result.container, ...dimensions };
+    const shiftX = (result.container.width - container.width) / 2;
+    const shiftZ = (result.container.depth - container.depth) / 2;
+
+    return {
+      ...result,
+      container,
+      placedBoxes: result.placedBoxes.map(box => ({ ...box, x: box.x + shiftX, z: box.z + shiftZ }))
+    };
+  }
+
+  improvePacking(boxes, result, constraints) {
+    const { method, iterations, timeLimitMs } = this.improvementConfig;
+    const unconstrainedDims = ['width', 'height', 'depth'].filter(dim => constraints[dim] === null);
+    const strategy = getStrategy(result.strategy) || getStrategy('greedy');
+    // Solutions are decoded with room to spare in the free dimensions, the result's container
+    // as bounds, and scored on the space the load takes: an order that needs less space
+    // shows as a smaller load, one that needs more still places every box. An incomplete
+    // result keeps the container it was packed in
+    const slack = result.placedBoxes.length === boxes.length ? IMPROVEMENT_SLACK : 1;
+    const container = {
+      ...result.container,
+      ...Object.fromEntries(unconstrainedDims.map(dim => [dim, result.container[dim] * slack]))
+    };
+    const orientationLists = boxes.map(box => this.getOrientations(box));
+
+    // Start from the constructive result: placement order first, then anything left over
+    const indexById = new Map(boxes.map((box, i) => [box.instanceId, i]));
+    const placedIndices = result.placedBoxes.map(box => indexById.get(box.instanceId));
+    const placedSet = new Set(placedIndices);
+    const orientations = boxes.map(() => -1);
+    result.placedBoxes.forEach((box, i) => {
+      orientations[placedIndices[i]] = orientationLists[placedIndices[i]].findIndex(o => o.orientation === box.orientation);
+    });
+    const initial = {
+      sequence: [...placedIndices, ...boxes.map((box, i) => i).filter(i => !placedSet.has(i))],
+      orientations
+    };
+
+    const currentScore = this.scoreLayout(result.placedBoxes, boxes, result.container, unconstrainedDims);
+    const timeLeftMs = this.deadline - performance.now();
+    // Improvements are streamed, throttled; the last one is sent when the interval has passed
+    let reported = { score: currentScore };
+    let pending = null;
+    let lastReport = 0;
+
+    const search = new ImprovementSearch({
+      evaluate: solution => {
+        const placedBoxes = this.decodeSolution(solution, boxes, container, strategy, orientationLists, slack > 1 ? unconstrainedDims : [], result.container);
+        return { placedBoxes, score: this.scoreLayout(placedBoxes, boxes, container, unconstrainedDims) };
+      },
+      orientationCounts: orientationLists.map(list => list.length),
+      random: createRandom(this.getStream('improvement')),
+      iterations,
+      timeLimitMs: timeLimitMs === null || timeLimitMs === undefined ? timeLeftMs : Math.min(timeLimitMs, timeLeftMs),
+      onProgress: (fraction, best) => {
+        if (best.score > reported.score) {
+          pending = best;
+          reported = best;
+        }
+        if (pending && performance.now() - lastReport >= BEST_INTERVAL_MS) {
+          this.reportBest(this.getImprovedLayout(result, pending, boxes, container, unconstrainedDims));
+          pending = null;
+          lastReport = performance.now();
+        }
+
+        const utilization = best.score >= 0 ? ` - best ${(best.score * 100).toFixed(1)}%` : '';
+        this.postMessage({
+          type: 'progress',
+          message: `${IMPROVEMENT_METHODS[method]}: ${Math.round(fraction * 100)}%${utilization}`,
+          progress: 90 + Math.floor(fraction * 9)
+        });
+      }
+    });
+
+    const best = search.run(method, initial);
+    this.improvementRun = { evaluations: search.evaluations, timedOut: search.timedOut };
+    if (best.score <= currentScore) return result;
+
+    return this.getImprovedLayout(result, best, boxes, container, unconstrainedDims);
+  }
+
+  // Shrink the free dimensions of the decoding container onto an improved load
+  getImprovedLayout(result, best, boxes, container, unconstrainedDims) {
+    const improved = { ...result, container, placedBoxes: best.placedBoxes };
+    return this.roundContainer(improved, best.placedBoxes.length === boxes.length ? unconstrainedDims : []);
+  }
+
+  // Place boxes in the solution's order, honouring its orientation genes where possible.
+  // With free dimensions (dims) the container has room to spare there: boxes go in the
+  // strategy's order while the load stays within bounds, and where they grow it the least
+  // by the objective once it cannot
+  decodeSolution(solution, boxes, container, strategy, orientationLists, dims = [], bounds = container) {
+    const { placedBoxes, extremePoints } = this.startLayout(container, boxes);
+    const strategyOrder = this.getCandidateComparator(strategy);
+    let load = Object.fromEntries(dims.map(dim => [dim, 0]));
+    const grownLoad = box => {
+      const extents = this.getLoadExtents([box], container, dims);
+      return Object.fromEntries(dims.map(dim => [dim, Math.max(load[dim], extents[dim])]));
+    };
+    const growth = box => {
+      const grown = grownLoad(box);
+      const inBounds = dims.every(dim => grown[dim] <= bounds[dim] + 1e-9);
+      return { inBounds, score: inBounds ? 0 : this.objective.score({ ...container, ...grown }) };
+    };
+    const compareCandidates = dims.length === 0 ? strategyOrder : (a, b) => {
+      const growthA = growth(a);
+      const growthB = growth(b);
+      if (growthA.inBounds !== growthB.inBounds) return growthA.inBounds ? -1 : 1;
+      const diff = growthA.score - growthB.score;
+      return Math.abs(diff) > 1e-9 * Math.max(growthA.score, growthB.score) ? diff : strategyOrder(a, b);
+    };
+
+    for (const index of solution.sequence) {
+      const box = boxes[index];
+      const options = orientationLists[index];
+      const gene = solution.orientations[index];
+
+      let placement = null;
+      if (gene >= 0) {
+        placement = this.findPlacement(box, placedBoxes, container, extremePoints, compareCandidates, [options[gene]]);
+      }
+      if (!placement) {
+        placement = this.findPlacement(box, placedBoxes, container, extremePoints, compareCandidates, options);
+      }
+
+      if (placement) {
+        this.commitPlacement(placement, placedBoxes);
+        extremePoints.update(placement, placedBoxes);
+        load = grownLoad(placement);
+      }
+    }
+
+    return this.removeObstacles(placedBoxes);
+  }
+
+  // Objective efficiency of the space the load actually needs (free dimensions cut to the
+  // load; for the volume objective this is its utilization); incomplete layouts score
+  // below every complete one
+  scoreLayout(placedBoxes, boxes, container, unconstrainedDims) {
+    const volume = list => list.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    const placedVolume = volume(placedBoxes);
+
+    if (placedBoxes.length < boxes.length) {
+      return placedVolume / volume(boxes) - 1;
+    }
+
+    // Balance is judged in the container cut to the load, as it will be reported
+    const cut = this.resizeContainer({ container, placedBoxes }, this.getLoadExtents(placedBoxes, container, unconstrainedDims));
+    return this.objective.efficiency(cut.container) - this.getBalancePenalty(cut.placedBoxes, cut.container);
+  }
+
+  // Distance from the back-left corner of the floor to the far faces of the load,
+  // leaving the wall clearance on the far side as well
+  getLoadExtents(placedBoxes, container, dims) {
+    const extents = {};
+    const clearance = container.wallClearance || 0;
+    const maxFace = (axis, size) => Math.max(...placedBoxes.map(box => box[axis] + box[size] / 2));
+
+    if (dims.includes('width')) extents.width = maxFace('x', 'width') + container.width / 2 + clearance;
+    if (dims.includes('height')) extents.height = maxFace('y', 'height');
+    if (dims.includes('depth')) extents.depth = maxFace('z', 'depth') + container.depth / 2 + clearance;
+
+    return extents;
+  }
+
+  // Bin-packing mode: fill copies of a fixed container one after another until every box is placed
+  packMultipleContainers(boxes, container) {
+    const totalVolume = boxes.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    const placedBoxes = [];
+    const strategies = new Set();
+    let remaining = boxes;
+    let containerCount = 0;
+
+    while (remaining.length > 0) {
+      const placedVolume = totalVolume - remaining.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+      this.postMessage({
+        type: 'progress',
+        message: `Filling container ${containerCount + 1} (${remaining.length} boxes left)...`,
+        progress: 10 + Math.floor((placedVolume / totalVolume) * 85)
+      });
+
+      const fill = this.fillContainer(remaining, container);
+
+      // Whatever is left does not fit even an empty container
+      if (fill.placedBoxes.length === 0) break;
+
+      const placedIds = new Set(fill.placedBoxes.map(box => box.instanceId));
+      fill.placedBoxes.forEach(box => placedBoxes.push({ ...box, containerIndex: containerCount }));
+      strategies.add(fill.strategy);
+      remaining = remaining.filter(box => !placedIds.has(box.instanceId));
+      containerCount++;
+
+      this.reportBest({
+        container,
+        containers: Array.from({ length: containerCount }, () => ({ ...container })),
+        placedBoxes,
+        strategy: null
+      });
+    }
+
+    return {
+      container: { ...container },
+      containers: Array.from({ length: Math.max(containerCount, 1) }, () => ({ ...container })),
+      placedBoxes,
+      // Report a single strategy only when every container used the same one
+      strategy: strategies.size === 1 ? [...strategies][0] : null
+    };
+  }
+
+  // Choose the cheapest way to hold every box: one stock container, several of one stock
+  // size, or a mix found by filling containers one at a time
+  selectFromCatalog(boxes, catalog) {
+    const volume = list => list.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    const entries = [...catalog].sort((a, b) => a.cost - b.cost);
+    const totalVolume = volume(boxes);
+    const rejected = [];
+
+    if (entries.length === 0) {
+      throw new Error('The container catalog is empty');
+    }
+
+    // Cheapest single container that takes everything
+    let single = null;
+    for (const [i, entry] of entries.entries()) {
+      this.postMessage({
+        type: 'progress',
+        message: `Trying ${entry.name}...`,
+        progress: 10 + Math.floor((i / entries.length) * 40)
+      });
+
+      let reason = this.getCatalogMismatch(boxes, entry, totalVolume);
+      if (!reason) {
+        const fill = this.fillContainer(boxes, this.getCatalogContainer(entry));
+        if (fill.placedBoxes.length === boxes.length) {
+          single = { entry, fill };
+          break;
+        }
+        reason = `holds only ${fill.placedBoxes.length} of ${boxes.length} boxes`;
+      }
+      rejected.push({ id: entry.id, name: entry.name, cost: entry.cost, reason });
+    }
+
+    // Several smaller containers can still cost less: a mix of the stock sizes cheaper than
+    // the single container, and each stock size on its own that could beat the best price
+    // so far even filled to the brim
+    const combined = [];
+    const mixed = this.combineCatalogContainers(boxes, single ? entries.filter(entry => entry.cost < single.entry.cost) : entries, rejected);
+    if (mixed) combined.push(mixed);
+    const walls = 2 * this.clearance.wallClearance;
+    entries.forEach(entry => {
+      const bestCost = Math.min(single ? single.entry.cost : Infinity,
+        ...combined.filter(option => option.complete).map(option => option.catalogSelection.totalCost));
+      const minCount = Math.ceil(totalVolume / ((entry.width - walls) * entry.height * (entry.depth - walls)) - 1e-9);
+      if (minCount < 2 || minCount * entry.cost >= bestCost) return;
+
+      const repeated = this.combineCatalogContainers(boxes, [entry], rejected);
+      if (repeated) combined.push(repeated);
+    });
+
+    const cheapest = combined
+      .filter(option => option.complete)
+      .reduce((best, option) => (!best || option.catalogSelection.totalCost < best.catalogSelection.totalCost ? option : best), null);
+
+    if (single && (!cheapest || single.entry.cost <= cheapest.catalogSelection.totalCost)) {
+      const { entry, fill } = single;
+      const others = rejected.length > 0 ? `cheapest of ${entries.length} stock sizes` : `cheapest stock size`;
+      return {
+        container: this.getCatalogContainer(entry),
+        containers: [this.getCatalogContainer(entry)],
+        placedBoxes: fill.placedBoxes.map(box => ({ ...box, containerIndex: 0 })),
+        strategy: fill.strategy,
+        catalogSelection: {
+          entries: [{ id: entry.id, name: entry.name, count: 1, cost: entry.cost }],
+          totalCost: entry.cost,
+          reason: cheapest
+            ? `${entry.name} is the ${others} that holds all ${boxes.length} boxes, and no combination costs less`
+            : `${entry.name} is the ${others} that holds all ${boxes.length} boxes`,
+          rejected
+        }
+      };
+    }
+
+    if (cheapest) {
+      if (single) {
+        cheapest.catalogSelection.reason = `Combining containers costs ${cheapest.catalogSelection.totalCost}, ` +
+          `less than one ${single.entry.name} at ${single.entry.cost}`;
+      }
+      return cheapest;
+    }
+    if (!mixed) {
+      throw new Error('No stock container can hold any of the boxes');
+    }
+    return mixed;
+  }
+
+  // Fill containers one at a time from the given stock sizes; null when none takes a box
+  combineCatalogContainers(boxes, entries, rejected) {
+    const volume = list => list.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    const totalVolume = volume(boxes);
+    const containers = [];
+    const placedBoxes = [];
+    const strategies = new Set();
+    let remaining = boxes;
+
+    while (remaining.length > 0) {
+      this.postMessage({
+        type: 'progress',
+        message: `Combining stock containers (${remaining.length} boxes left)...`,
+        progress: 50 + Math.floor(((totalVolume - volume(remaining)) / totalVolume) * 45)
+      });
+
+      let best = null;
+      for (const entry of entries) {
+        if (this.getOversizedCount(remaining, entry) === remaining.length) continue;
+
+        const fill = this.fillContainer(remaining, this.getCatalogContainer(entry));
+        if (fill.placedBoxes.length === 0) continue;
+
+        const finishes = fill.placedBoxes.length === remaining.length;
+        const value = entry.cost > 0 ? volume(fill.placedBoxes) / entry.cost : Infinity;
+
+        // Prefer the cheapest container that takes everything left,
+        // otherwise the one packing the most volume per unit of cost
+        const isBetter = !best ||
+          (finishes && (!best.finishes || entry.cost < best.entry.cost)) ||
+          (!finishes && !best.finishes && value > best.value);
+        if (isBetter) best = { entry, fill, finishes, value };
+      }
+
+      // Whatever is left fits no stock size
+      if (!best) break;
+
+      const placedIds = new Set(best.fill.placedBoxes.map(box => box.instanceId));
+      best.fill.placedBoxes.forEach(box => placedBoxes.push({ ...box, containerIndex: containers.length }));
+      containers.push(this.getCatalogContainer(best.entry));
+      strategies.add(best.fill.strategy);
+      remaining = remaining.filter(box => !placedIds.has(box.instanceId));
+    }
+
+    if (containers.length === 0) return null;
+
+    const counts = new Map();
+    containers.forEach(c => {
+      const entry = counts.get(c.catalogId) || { id: c.catalogId, name: c.name, count: 0, cost: c.cost };
+      entry.count++;
+      counts.set(c.catalogId, entry);
+    });
+
+    return {
+      container: containers[0],
+      containers,
+      placedBoxes,
+      strategy: strategies.size === 1 ? [...strategies][0] : null,
+      complete: remaining.length === 0,
+      catalogSelection: {
+        entries: [...counts.values()],
+        totalCost: containers.reduce((sum, c) => sum + c.cost, 0),
+        reason: remaining.length > 0
+          ? `${remaining.length} ${remaining.length === 1 ? 'box fits' : 'boxes fit'} no stock size`
+          : `No single stock size holds all ${boxes.length} boxes, so containers were combined`,
+        rejected
+      }
+    };
+  }
+
+  // Why a catalog entry cannot hold the whole list on its own (null if it might)
+  getCatalogMismatch(boxes, entry, totalVolume) {
+    const oversized = this.getOversizedCount(boxes, entry);
+    if (oversized > 0) return `too small for ${oversized} ${oversized === 1 ? 'box' : 'boxes'}`;
+    const walls = 2 * this.clearance.wallClearance;
+    if (totalVolume > (entry.width - walls) * entry.height * (entry.depth - walls)) return 'not enough volume';
+
+    const totalWeight = boxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+    if (entry.maxPayload !== null && entry.maxPayload !== undefined && totalWeight > entry.maxPayload) {
+      return `payload too low for ${totalWeight}`;
+    }
+    return null;
+  }
+
+  // Number of boxes that fit the container in none of their orientations
+  getOversizedCount(boxes, container) {
+    const walls = 2 * this.clearance.wallClearance;
+    return boxes.filter(box => !this.getOrientations(box).some(o =>
+      o.width <= container.width - walls && o.height <= container.height && o.depth <= container.depth - walls
+    )).length;
+  }
+
+  getCatalogContainer(entry) {
+    return {
+      width: entry.width,
+      height: entry.height,
+      depth: entry.depth,
+      maxPayload: entry.maxPayload,
+      ...this.clearance,
+      catalogId: entry.id,
+      name: entry.name,
+      cost: entry.cost
+    };
+  }
+
+  // Pack as much volume as possible into one container (best of the final Monte Carlo seeds)
+  fillContainer(boxes, container) {
+    const volume = list => list.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    let best = null;
+
+    for (let i = 0; i < this.mcConfig.finalAttempts; i++) {
+      if (best && this.isOutOfTime()) break;
+      const attempt = this.attemptPacking(boxes, container, this.getStream('fill'), i);
+      if (!best || volume(attempt.placedBoxes) > volume(best.placedBoxes)) best = attempt;
+      if (best.placedBoxes.length === boxes.length) break;
+    }
+
+    return best;
+  }
+
+  async binarySearchDimension(boxes, baseContainer, searchDim, minValue, maxValue, progressBase, progressRange) {
+    // Search resolution below the rounding step (0.05 at the default 1/8 in); the final
+    // size is rounded from the load itself, not from the probe (roundContainer)
+    return this.binarySearchContainer(
+      boxes,
+      value => ({ ...baseContainer, [searchDim]: value }),
+      minValue,
+      maxValue,
+      this.roundingIncrement * 0.4,
+      value => `${searchDim}: ${formatLength(value, this.units)}`,
+      progressBase,
+      progressRange
+    );
   }
 
-  binarySearchDimension(boxes, baseContainer, searchDim, minValue, maxValue, progressBase, progressRange) {
-    const epsilon = 0.05; 
+  // Smallest value in [minValue, maxValue], to within epsilon, whose container (built by
+  // getContainer) holds every box; describe labels a value in the progress messages
+  async binarySearchContainer(boxes, getContainer, minValue, maxValue, epsilon, describe, progressBase, progressRange) {
     let low = minValue;
     let high = maxValue;
     let bestFit = high;
     const initialRange = high - low;
     
-    while (high - low > epsilon) {
+    while (high - low > epsilon && !this.isOutOfTime()) {
       const mid = (low + high) / 2;
       
       // Update granular progress
@@ -199,26 +890,19 @@ export class PackingWorker {
            
            this.postMessage({
                type: 'progress', 
-               message: `Optimizing ${searchDim}: ${mid.toFixed(1)}...`,
+               message: `Optimizing ${describe(mid)}...`,
                progress: Math.floor(currentProgress)
            });
       }
 
-      const testContainer = { ...baseContainer, [searchDim]: mid };
+      const testContainer = getContainer(mid);
       
-      let success = false;
       // Monte Carlo Sampling or Single Pass
-      const attempts = this.mcConfig.searchAttempts; // 15 or 3
+      const attempts = await this.runAttempts(boxes, testContainer, 'search', this.mcConfig.searchAttempts); // 15 or 3
+      const complete = attempts.find(({ placedBoxes }) => placedBoxes.length === boxes.length);
       
-      for (let attempt = 0; attempt < attempts; attempt++) {
-        const placed = this.attemptPacking(boxes, testContainer, attempt);
-        if (placed.length === boxes.length) {
-          success = true;
-          break;
-        }
-      }
-      
-      if (success) {
+      if (complete) {
+        this.recordPacking({ container: testContainer, placedBoxes: complete.placedBoxes, strategy: complete.strategy });
         bestFit = mid;
         high = mid; 
       } else {
@@ -229,80 +913,374 @@ export class PackingWorker {
     return bestFit;
   }
 
-  attemptPacking(boxes, container, seed) {
-    const boxList = [...boxes];
-    
-    // Deterministic Random Generator based on seed
-    const random = () => {
-        const x = Math.sin(seed + 1) * 10000;
-        seed++;
-        return x - Math.floor(x);
-    };
+  // Monte Carlo seeds 0..count-1 of a phase's stream for one container size, in seed
+  // order, stopping at the first complete packing. Handed to the pool when there is
+  // one, in which case the seeds after a complete packing may or may not have run.
+  async runAttempts(boxes, container, phase, count, progressBase, progressRange) {
+    const stream = this.getStream(phase);
+    const seeds = Array.from({ length: count }, (_, i) => i);
 
-    // Calculate Sort Key with Noise (Monte Carlo)
-    // If seed is 0, noise is 0 -> Pure Deterministic Volume Sort
-    const getScore = (box) => {
-        const volume = box.width * box.height * box.depth;
-        
-        // Use config for noise
-        const useNoise = this.mcConfig.useNoise;
-        const noise = (useNoise && seed > 0) ? (random() * 0.4 - 0.2) : 0;
-        
-        return volume * (1 + noise);
-    };
+    if (this.delegateAttempts && count > 1) {
+      if (progressBase !== undefined) {
+        this.postMessage({ type: 'progress', message: `Finalizing packing (${count} seeds in parallel)...`, progress: progressBase });
+      }
+      const attempts = await this.delegateAttempts(boxes, container, stream, seeds);
+      return attempts.sort((a, b) => a.seed - b.seed);
+    }
 
-    boxList.sort((a, b) => {
-      return getScore(b) - getScore(a);
-    });
+    return this.runLocalAttempts(boxes, container, stream, seeds, progressBase, progressRange);
+  }
+
+  runLocalAttempts(boxes, container, stream, seeds, progressBase, progressRange) {
+    const attempts = [];
+
+    for (const [i, seed] of seeds.entries()) {
+      // Out of time: whatever has run is enough, as long as something has
+      if (attempts.length > 0 && this.isOutOfTime()) break;
+
+      if (progressBase !== undefined) {
+        this.postMessage({
+          type: 'progress',
+          message: `Finalizing packing (Seed ${i + 1}/${seeds.length})...`,
+          progress: progressBase + Math.floor((i / seeds.length) * progressRange)
+        });
+      }
+
+      // complete tells the pool where this batch would have stopped on one thread
+      const packing = this.attemptPacking(boxes, container, stream, seed);
+      const attempt = { seed, ...packing, complete: this.isCompletePacking(packing.placedBoxes, boxes, container) };
+      attempts.push(attempt);
+      if (attempt.complete) break;
+    }
+
+    return attempts;
+  }
+
+  attemptPacking(boxes, container, stream, seed) {
+    // "auto" runs every registered strategy and keeps the best packing
+    const names = this.strategy === 'auto' ? getStrategyNames() : [this.strategy];
+    let best = null;
+
+    for (const name of names) {
+      const placedBoxes = this.packWithStrategy(getStrategy(name), boxes, container, stream, seed);
+
+      if (!best || this.isBetterPacking(placedBoxes, best.placedBoxes, container)) {
+        best = { placedBoxes, strategy: name };
+      }
+      if (this.isCompletePacking(best.placedBoxes, boxes, container)) break;
+    }
+
+    return best;
+  }
+
+  // One Monte Carlo attempt: seed picks the attempt's own stream within the phase's stream
+  packWithStrategy(strategy, boxes, container, stream, seed) {
+    const random = createRandom(deriveSeed(stream, seed));
+
+    // Monte Carlo: perturb the strategy's sort key by ±20%.
+    // Seed 0 gets no noise -> pure deterministic order
+    const useNoise = this.mcConfig.useNoise && seed > 0;
+
+    const items = strategy.prepare
+      ? strategy.prepare(boxes, container, box => this.getOrientations(box))
+      : [...boxes];
+
+    const scores = new Map(items.map(item => {
+      const noise = useNoise ? (random() * 0.4 - 0.2) : 0;
+      return [item, strategy.score(item) * (1 + noise)];
+    }));
+
+    // Delivery mode loads the last stop first; the strategy orders boxes within a stop
+    items.sort((a, b) => (this.deliveryMode ? this.getStopRank(b) - this.getStopRank(a) : 0) ||
+      scores.get(b) - scores.get(a));
     
-    const placedBoxes = [];
+    const { placedBoxes, extremePoints } = this.startLayout(container, boxes);
+    const compareCandidates = this.getCandidateComparator(strategy);
     
-    for (const box of boxList) {
-      const placement = this.findPlacement(box, placedBoxes, container, seed);
-      if (placement) {
-        placedBoxes.push(placement);
+    for (const item of items) {
+      const placement = this.findPlacement(item, placedBoxes, container, extremePoints, compareCandidates);
+
+      if (!placement) {
+        // A block that fits nowhere is retried box by box at the end of the queue
+        if (item.block) items.push(...item.block.members);
+        continue;
       }
+
+      const placed = placement.block ? strategy.expand(placement) : [placement];
+      placed.forEach(box => this.commitPlacement(box, placedBoxes));
+      extremePoints.update(placement, placedBoxes);
     }
     
-    return placedBoxes;
+    return this.removeObstacles(placedBoxes);
   }
 
-  findPlacement(box, placedBoxes, container, seed) {
-    let candidates = [];
-    
-    const orientations = this.allowRotation ? this.getUniqueOrientations(box) : [box];
+  // Empty layout for a container: keep-out zones are placed first, as boxes that never move.
+  // The layout's boxes are held in a spatial grid sized for the boxes to be packed,
+  // so each placement only checks its neighbours.
+  startLayout(container, boxes) {
+    const placedBoxes = new SpatialGrid(SpatialGrid.getCellSize(boxes, container));
+    const extremePoints = new ExtremePointSet(container);
+
+    for (const obstacle of this.getObstacles(container)) {
+      placedBoxes.add(obstacle);
+      extremePoints.update(obstacle, placedBoxes);
+    }
+
+    return { placedBoxes, extremePoints };
+  }
+
+  removeObstacles(placedBoxes) {
+    return placedBoxes.boxes.filter(box => !box.obstacle);
+  }
+
+  // Keep-out zones as placed boxes in world coordinates. Fresh objects for every
+  // layout, since the load graph records weight on them. Boxes may rest on a zone
+  // only if it allows it; stack levels start again above it.
+  getObstacles(container) {
+    // Zones are entered for the real door; packing runs mirrored for back and left doors
+    const mirrorAxis = this.deliveryMode && this.door !== this.loadingDoor
+      ? (this.loadingDoor === 'front' ? 'z' : 'x')
+      : null;
+
+    return this.keepOutZones.map(zone => {
+      const obstacle = {
+        obstacle: true,
+        zoneId: zone.id,
+        x: -container.width / 2 + zone.x + zone.width / 2,
+        y: zone.y + zone.height / 2,
+        z: -container.depth / 2 + zone.z + zone.depth / 2,
+        width: zone.width,
+        height: zone.height,
+        depth: zone.depth,
+        weight: 0,
+        maxLoad: null,
+        stackable: Boolean(zone.allowOnTop),
+        stackLevel: 0
+      };
+      if (mirrorAxis) obstacle[mirrorAxis] = -obstacle[mirrorAxis];
+      return obstacle;
+    });
+  }
+
+  // Add a box to the layout and record the weight it puts on the boxes below
+  commitPlacement(placement, placedBoxes) {
+    this.physicsSolver.applyLoad(placement, placedBoxes);
+    placedBoxes.add(placement);
+  }
+
+  // More boxes wins; equal counts are decided by weight distribution, then packed volume
+  isBetterPacking(placedBoxes, otherPlacedBoxes, container) {
+    if (placedBoxes.length !== otherPlacedBoxes.length) {
+      return placedBoxes.length > otherPlacedBoxes.length;
+    }
+
+    const penalty = this.getBalancePenalty(placedBoxes, container);
+    const otherPenalty = this.getBalancePenalty(otherPlacedBoxes, container);
+    if (Math.abs(penalty - otherPenalty) > 1e-9) {
+      return penalty < otherPenalty;
+    }
+
+    const volume = list => list.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    return volume(placedBoxes) > volume(otherPlacedBoxes);
+  }
+
+  // Every box placed, and balanced when weight distribution is checked; later seeds cannot do better
+  isCompletePacking(placedBoxes, boxes, container) {
+    return placedBoxes.length === boxes.length && this.getBalancePenalty(placedBoxes, container) === 0;
+  }
+
+  // How far the load is from meeting the balance settings (0 when balanced or not checked)
+  getBalancePenalty(placedBoxes, container) {
+    if (!this.balance) return 0;
+    const report = this.physicsSolver.evaluateBalance(placedBoxes, container, this.balance);
+    return report ? report.penalty : 0;
+  }
+
+  // Slide each container's load across its free floor space, only as far as needed
+  // to bring the center of gravity inside the allowed region and axle limits
+  balanceLoad(result) {
+    // The load is braced around the keep-out zones, so it cannot slide
+    if (this.keepOutZones.length > 0) return result;
+
+    const containers = result.containers || [result.container];
+    const shifts = containers.map((container, index) => {
+      const load = result.placedBoxes.filter(box => (box.containerIndex || 0) === index);
+      const centerOfGravity = this.physicsSolver.calculateCenterOfGravity(load);
+      if (!centerOfGravity) return { x: 0, z: 0 };
+
+      const halfWidth = container.width / 2 - this.clearance.wallClearance;
+      const halfDepth = container.depth / 2 - this.clearance.wallClearance;
+      const bounds = {
+        minX: Math.min(...load.map(box => box.x - box.width / 2)),
+        maxX: Math.max(...load.map(box => box.x + box.width / 2)),
+        minZ: Math.min(...load.map(box => box.z - box.depth / 2)),
+        maxZ: Math.max(...load.map(box => box.z + box.depth / 2))
+      };
+
+      // Allowed CoG interval per axis, in container coordinates
+      const regionX = halfWidth * this.balance.region.width;
+      const allowedZ = this.getAllowedCenterZ(centerOfGravity.totalWeight, container);
+
+      const shiftInto = (value, [low, high], [slackLow, slackHigh]) => {
+        const target = low <= high ? Math.min(Math.max(value, low), high) : (low + high) / 2;
+        return Math.min(Math.max(target - value, slackLow), slackHigh);
+      };
+
+      return {
+        x: shiftInto(centerOfGravity.x, [-regionX, regionX], [-halfWidth - bounds.minX, halfWidth - bounds.maxX]),
+        z: shiftInto(centerOfGravity.z, allowedZ, [-halfDepth - bounds.minZ, halfDepth - bounds.maxZ])
+      };
+    });
+
+    return {
+      ...result,
+      placedBoxes: result.placedBoxes.map(box => {
+        const shift = shifts[box.containerIndex || 0];
+        return { ...box, x: box.x + shift.x, z: box.z + shift.z };
+      })
+    };
+  }
+
+  // Range of CoG positions along the depth that satisfies the region and both axle limits
+  getAllowedCenterZ(totalWeight, container) {
+    const regionZ = container.depth / 2 * this.balance.region.depth;
+    let low = -regionZ;
+    let high = regionZ;
+
+    const axles = this.balance.axles;
+    if (axles && axles.rearPosition !== axles.frontPosition) {
+      // Range of rear axle loads that keeps both axles on the ground and within their limits
+      const hasLimit = limit => limit !== null && limit !== undefined;
+      let rearLow = hasLimit(axles.frontLimit) ? Math.max(0, totalWeight - axles.frontLimit) : 0;
+      let rearHigh = hasLimit(axles.rearLimit) ? Math.min(totalWeight, axles.rearLimit) : totalWeight;
+      if (rearLow > rearHigh) {
+        // Both limits cannot be met; aim for the split proportional to them
+        rearLow = rearHigh = totalWeight * axles.rearLimit / (axles.frontLimit + axles.rearLimit);
+      }
+
+      // Lever rule solved for the CoG distance from the back wall
+      const span = axles.rearPosition - axles.frontPosition;
+      const ends = [rearLow, rearHigh].map(rear => axles.frontPosition + rear * span / totalWeight - container.depth / 2);
+      low = Math.max(low, Math.min(...ends));
+      high = Math.min(high, Math.max(...ends));
+    }
+
+    return [low, high];
+  }
+
+  // Dunnage needed to keep the load from shifting: the usable floor (inside the wall
+  // clearance) up to the top of each container's load, less the boxes and keep-out zones
+  getVoidFill(placedBoxes, containers) {
+    const walls = 2 * this.clearance.wallClearance;
+    let loadSpace = 0;
+    let volume = 0;
+
+    containers.forEach((container, index) => {
+      const load = placedBoxes.filter(box => (box.containerIndex || 0) === index);
+      if (load.length === 0) return;
+
+      const height = Math.max(...load.map(box => box.y + box.height / 2));
+      const zones = this.getObstacles(container).reduce((sum, zone) =>
+        sum + zone.width * zone.depth * Math.max(0, Math.min(zone.height, height - (zone.y - zone.height / 2))), 0);
+      const space = (container.width - walls) * (container.depth - walls) * height - zones;
+      loadSpace += space;
+      volume += space - load.reduce((sum, box) => sum + box.width * box.height * box.depth, 0);
+    });
+
+    return { volume, loadSpace };
+  }
+
+  // Proven minimum of what the search tried to make small (container volume, or the number
+  // of containers) and how far above it the result is, in percent. Only reported for a
+  // complete packing with something to minimize; catalog costs are not bounded.
+  getLowerBound(boxes, result, constraints, isMultiContainer) {
+    const isFixedContainer = ['width', 'height', 'depth'].every(dim => constraints[dim] !== null);
+    if (result.placedBoxes.length < boxes.length || (isFixedContainer && !isMultiContainer)) {
+      return null;
+    }
+
+    const getOrientations = box => this.getOrientations(box);
+    const measure = isMultiContainer ? 'containers' : 'volume';
+    const bound = isMultiContainer
+      ? getContainerCountBound(boxes, constraints, getOrientations)
+      : getContainerVolumeBound(boxes, constraints, getOrientations);
+    if (!bound) return null;
+
+    const { width, height, depth } = result.container;
+    const achieved = isMultiContainer ? result.containers.length : width * height * depth;
+
+    return { measure, bound, achieved, gap: Math.max(0, (achieved - bound) / bound * 100) };
+  }
+
+  // Center of gravity, quarter and axle loads for each container of the result
+  getBalanceReport(placedBoxes, containers) {
+    // Without balance settings the figures are still reported, against the whole floor
+    const balance = this.balance || { region: { width: 1, depth: 1 }, axles: null };
+
+    return containers.map((container, index) => this.physicsSolver.evaluateBalance(
+      placedBoxes.filter(box => (box.containerIndex || 0) === index),
+      container,
+      balance
+    ));
+  }
+
+  // Delivery mode fills from the far end towards the door, then falls back to the strategy's order
+  getCandidateComparator(strategy) {
+    if (!this.deliveryMode) return strategy.compareCandidates;
+
+    return (a, b) => {
+      const diff = this.physicsSolver.getDoorSideFace(a, this.loadingDoor) - this.physicsSolver.getDoorSideFace(b, this.loadingDoor);
+      return Math.abs(diff) > 0.001 ? diff : strategy.compareCandidates(a, b);
+    };
+  }
+
+  // Boxes without a stop stay on board to the end
+  getStopRank(box) {
+    return box.stop !== null && box.stop !== undefined ? box.stop : Number.MAX_SAFE_INTEGER;
+  }
+
+  // Reflect the load front-to-back or left-to-right so it faces the real door
+  mirrorLoad(result) {
+    const axis = this.loadingDoor === 'front' ? 'z' : 'x';
+    return {
+      ...result,
+      placedBoxes: result.placedBoxes.map(box => ({ ...box, [axis]: -box[axis] }))
+    };
+  }
+
+  findPlacement(box, placedBoxes, container, extremePoints, compareCandidates, orientations = this.getOrientations(box)) {
+    const candidates = [];
 
     for (const orientation of orientations) {
-      // Treat orientation like a box (has width, height, depth)
-      const orientationCandidates = this.generateCandidatePositions(orientation, placedBoxes, container);
-      
-      // Tag candidates with the dimensions used to generate them
-      orientationCandidates.forEach(c => {
-        c.width = orientation.width;
-        c.height = orientation.height;
-        c.depth = orientation.depth;
-      });
+      // The box turned to this orientation (shape and axis matter for cylinders)
+      const orientationCandidates = extremePoints.getCandidates({ ...box, ...orientation });
       
-      candidates = candidates.concat(orientationCandidates);
+      // Tag candidates with the dimensions used to generate them (built in one
+      // go: with thousands of boxes there are thousands of candidates per box)
+      for (const c of orientationCandidates) {
+        candidates.push({
+          x: c.x,
+          y: c.y,
+          z: c.z,
+          width: orientation.width,
+          height: orientation.height,
+          depth: orientation.depth,
+          orientation: orientation.orientation,
+          shape: box.shape,
+          axis: orientation.axis
+        });
+      }
     }
     
-    // Sort candidates: Bottom-Back-Left preference
-    // We remove random shuffling to ensure tightest corner packing
-    candidates.sort((a, b) => {
-      const epsilon = 0.001;
-      // 1. Gravity (lowest Y)
-      if (Math.abs(a.y - b.y) > epsilon) return a.y - b.y;
-      
-      // 2. Back-to-Front (lowest Z) - creates rows
-      if (Math.abs(a.z - b.z) > epsilon) return a.z - b.z;
-      
-      // 3. Left-to-Right (lowest X)
-      if (Math.abs(a.x - b.x) > epsilon) return a.x - b.x;
-      
-      return 0;
-    });
+    // Rank candidates by the strategy's preference (e.g. bottom-back-left)
+    candidates.sort(compareCandidates);
 
     for (const candidate of candidates) {
+      // Most candidates overlap a placed box: rule those out before building the full test box
+      if (this.physicsSolver.checkCollisionWithList(candidate, placedBoxes, container.boxGap || 0)) {
+        continue;
+      }
+
       const testBox = {
         ...box,
         x: candidate.x,
@@ -311,15 +1289,19 @@ export class PackingWorker {
         // Apply rotation dimensions
         width: candidate.width,
         height: candidate.height,
-        depth: candidate.depth
+        depth: candidate.depth,
+        orientation: candidate.orientation
       };
+      if (candidate.axis) testBox.axis = candidate.axis;
       
-      // Gravity / Drop Logic preserved from original
-      if (candidate.y > testBox.height && !candidate.skipGravity) {
+      // A point projected only against a side face can leave the box hanging in the
+      // air: it settles on the highest top below its footprint, or on the floor
+      if (testBox.y - testBox.height / 2 > 0) {
         testBox.y = this.physicsSolver.dropBox(testBox, placedBoxes, container);
       }
       
-      if (this.physicsSolver.isValidPlacement(testBox, placedBoxes, container, 0.2)) {
+      if (this.physicsSolver.isValidPlacement(testBox, placedBoxes, container, 0.2) &&
+          (!this.deliveryMode || this.physicsSolver.isWithinUnloadingOrder(testBox, placedBoxes, this.loadingDoor))) {
         return testBox;
       }
     }
@@ -327,133 +1309,15 @@ export class PackingWorker {
     return null;
   }
 
-  getUniqueOrientations(box) {
-    const { width: w, height: h, depth: d } = box;
-    const permutations = [
-      { width: w, height: h, depth: d },
-      { width: w, height: d, depth: h },
-      { width: h, height: w, depth: d },
-      { width: h, height: d, depth: w },
-      { width: d, height: w, depth: h },
-      { width: d, height: h, depth: w }
-    ];
-    
-    // Filter duplicates
-    const seen = new Set();
-    const unique = [];
-    
-    for (const p of permutations) {
-      const key = `${p.width},${p.height},${p.depth}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        unique.push(p);
-      }
-    }
-    
-    return unique;
-  }
-
-  generateCandidatePositions(box, placedBoxes, container) {
-    const candidates = [];
-    
-    // Start with corner position (bottom-front-left) - Corrected Coordinate System
-    candidates.push({
-      x: -container.width / 2 + box.width / 2,
-      y: box.height / 2,
-      z: -container.depth / 2 + box.depth / 2
-    });
-    
-    // For each placed box, try positions adjacent to it
-    for (const placedBox of placedBoxes) {
-      // Directly on top of placed box (most important for stacking!)
-      candidates.push({
-        x: placedBox.x,
-        y: placedBox.y + placedBox.height / 2 + box.height / 2,
-        z: placedBox.z,
-        skipGravity: true // Don't drop this - it's meant to be on top
-      });
-      
-      // On top but at different positions (if box is smaller)
-      const topY = placedBox.y + placedBox.height / 2 + box.height / 2;
-      candidates.push({
-        x: placedBox.x + (placedBox.width - box.width) / 4,
-        y: topY,
-        z: placedBox.z,
-        skipGravity: true
-      });
-      candidates.push({
-        x: placedBox.x - (placedBox.width - box.width) / 4,
-        y: topY,
-        z: placedBox.z,
-        skipGravity: true
-      });
-      candidates.push({
-        x: placedBox.x,
-        y: topY,
-        z: placedBox.z + (placedBox.depth - box.depth) / 4,
-        skipGravity: true
-      });
-      candidates.push({
-        x: placedBox.x,
-        y: topY,
-        z: placedBox.z - (placedBox.depth - box.depth) / 4,
-        skipGravity: true
-      });
-      
-      // Right of placed box (same level)
-      candidates.push({
-        x: placedBox.x + placedBox.width / 2 + box.width / 2,
-        y: placedBox.y,
-        z: placedBox.z
-      });
-      
-      // Behind placed box (same level)
-      candidates.push({
-        x: placedBox.x,
-        y: placedBox.y,
-        z: placedBox.z + placedBox.depth / 2 + box.depth / 2
-      });
-      
-      // Corners of placed box (same level)
-      const corners = [
-        { dx: 1, dz: 1 },
-        { dx: -1, dz: 1 },
-        { dx: 1, dz: -1 },
-        { dx: -1, dz: -1 }
-      ];
-      
-      for (const corner of corners) {
-        candidates.push({
-          x: placedBox.x + corner.dx * (placedBox.width / 2 + box.width / 2),
-          y: placedBox.y,
-          z: placedBox.z + corner.dz * (placedBox.depth / 2 + box.depth / 2)
-        });
-      }
-    }
-    
-    // Add a grid of positions at floor level for better coverage
-    const gridSteps = 5;
-    
-    for (let ix = 0; ix < gridSteps; ix++) {
-      for (let iz = 0; iz < gridSteps; iz++) {
-        candidates.push({
-          x: -container.width / 2 + (ix + 0.5) * (container.width / gridSteps),
-          y: box.height / 2,
-          z: -container.depth / 2 + (iz + 0.5) * (container.depth / gridSteps)
-        });
-      }
-    }
-    
-    return candidates;
+  getOrientations(box) {
+    // Blocks keep the layout they were built with
+    if (box.block) return [box];
+    return getAllowedOrientations(box, box.rotation || this.defaultRotation);
   }
 
   shuffleArray(array, seed) {
     let m = array.length, t, i;
-    // Simple seeded random
-    const random = () => {
-        const x = Math.sin(seed++) * 10000;
-        return x - Math.floor(x);
-    };
+    const random = createRandom(seed);
 
     while (m) {
       i = Math.floor(random() * m--);
@@ -465,18 +1329,49 @@ export class PackingWorker {
   }
 }
 
-// Worker interface
+// Worker interface. In a WorkerPool the worker that receives 'start' leads the run and
+// sends its batches of attempts back to the pool ('attempts'); the pool hands them out
+// to the other workers, which run them for the leader.
 const worker = new PackingWorker();
 
 if (typeof self !== 'undefined') {
-  self.onmessage = (e) => {
-    if (e.data.type === 'start') {
+  const pendingAttempts = new Map();
+  let nextJobId = 1;
+
+  self.onmessage = async (e) => {
+    const { type } = e.data;
+
+    if (type === 'start') {
+      if (e.data.parallel) {
+        worker.delegateAttempts = (boxes, container, stream, seeds) => new Promise(resolve => {
+          const jobId = nextJobId++;
+          pendingAttempts.set(jobId, resolve);
+          const timeLeftMs = worker.deadline - performance.now();
+          self.postMessage({ type: 'attempts', jobId, params: { ...e.data.params, boxes }, container, stream, seeds, timeLeftMs });
+        });
+      }
+
       try {
-        const result = worker.optimize(e.data.params);
+        const result = await worker.optimize(e.data.params);
         self.postMessage({ type: 'complete', result });
       } catch (err) {
         self.postMessage({ type: 'error', error: err.message });
       }
+    } else if (type === 'attempts') {
+      // Run part of the leader's batch (boxes travel in params)
+      const { params, container, stream, seeds, timeLeftMs } = e.data;
+      try {
+        worker.configure(params);
+        worker.deadline = performance.now() + timeLeftMs;
+        const attempts = worker.runLocalAttempts(params.boxes, container, stream, seeds);
+        self.postMessage({ type: 'attempts-result', attempts });
+      } catch (err) {
+        self.postMessage({ type: 'error', error: err.message });
+      }
+    } else if (type === 'attempts-result') {
+      const resolve = pendingAttempts.get(e.data.jobId);
+      pendingAttempts.delete(e.data.jobId);
+      if (resolve) resolve(e.data.attempts);
     }
   };
 }
@@ -0,0 +1,59 @@
+// The six axis-aligned orientations of a box and the per-box rules that limit them.
+// Each orientation maps the box's own width/height/depth onto the container axes;
+// ids and labels describe the rotation that produces it from the box as entered.
+// `axis` is the container axis the box's own height ends up along, which is the
+// axis of a cylinder (entered upright: width = depth = diameter, height = length).
+
+export const ORIENTATIONS = [
+  { id: 'none', label: 'not rotated', axis: 'y', apply: ({ width: w, height: h, depth: d }) => ({ width: w, height: h, depth: d }) },
+  { id: 'y90', label: 'rotated 90° about Y', axis: 'y', apply: ({ width: w, height: h, depth: d }) => ({ width: d, height: h, depth: w }) },
+  { id: 'x90', label: 'rotated 90° about X', axis: 'z', apply: ({ width: w, height: h, depth: d }) => ({ width: w, height: d, depth: h }) },
+  { id: 'z90', label: 'rotated 90° about Z', axis: 'x', apply: ({ width: w, height: h, depth: d }) => ({ width: h, height: w, depth: d }) },
+  { id: 'x90-y90', label: 'rotated 90° about X, then Y', axis: 'x', apply: ({ width: w, height: h, depth: d }) => ({ width: h, height: d, depth: w }) },
+  { id: 'z90-y90', label: 'rotated 90° about Z, then Y', axis: 'z', apply: ({ width: w, height: h, depth: d }) => ({ width: d, height: w, depth: h }) }
+];
+
+// Allowed orientation ids per rule
+export const ROTATION_RULES = {
+  any: { label: 'Any side', orientations: ORIENTATIONS.map(o => o.id) },
+  upright: { label: 'This side up', orientations: ['none', 'y90'] },
+  side: { label: 'On its side', orientations: ['x90', 'z90', 'x90-y90', 'z90-y90'] },
+  none: { label: 'No rotation', orientations: ['none'] }
+};
+
+// The same rules as offered for cylinders, which look alike after a turn about their axis
+export const CYLINDER_RULES = {
+  any: 'Upright or lying',
+  upright: 'Upright',
+  side: 'Lying'
+};
+
+// Distinct orientations a box may be placed in, each tagged with its orientation id
+// (and axis, for cylinders). Orientations that give the same dimensions are kept
+// once, under the simplest rotation; a cylinder also tells them apart by axis.
+export function getAllowedOrientations(box, rule = 'any') {
+  const allowed = (ROTATION_RULES[rule] || ROTATION_RULES.any).orientations;
+  const isCylinder = box.shape === 'cylinder';
+  const seen = new Set();
+  const unique = [];
+
+  for (const orientation of ORIENTATIONS) {
+    if (!allowed.includes(orientation.id)) continue;
+
+    const dims = orientation.apply(box);
+    const key = `${dims.width},${dims.height},${dims.depth}${isCylinder ? orientation.axis : ''}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(isCylinder
+        ? { ...dims, orientation: orientation.id, axis: orientation.axis }
+        : { ...dims, orientation: orientation.id });
+    }
+  }
+
+  return unique;
+}
+
+export function getOrientationLabel(id) {
+  const orientation = ORIENTATIONS.find(o => o.id === id);
+  return orientation ? orientation.label : 'not rotated';
+}
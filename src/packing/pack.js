@@ -0,0 +1,261 @@
+import { WorkerPool } from './WorkerPool.js';
+import { OBJECTIVES, OBJECTIVE_MEASURES, getObjectiveWeights } from './objectives.js';
+import { getStrategy } from './strategies.js';
+import { IMPROVEMENT_METHODS } from './ImprovementSearch.js';
+import { formatDimensions } from '../state/units.js';
+
+// The packing engine as a library: no DOM, no app state. Runs go to a pool of Web
+// Workers when the environment has them; elsewhere (Node.js) the engine runs on the
+// calling thread.
+
+/**
+ * Pack boxes into the smallest container, or into the containers given
+ * @param {Object[]} items - box definitions: { width, height, depth, quantity = 1, id,
+ *   shape, weight, maxLoad, rotation, stackable, onlyOnSameType, maxStack, stop }
+ *   (see AppState.boxes); id defaults to the definition's index
+ * @param {Object} [options] - optimizer.worker.js parameters, all optional:
+ *   units, roundingIncrement, constraints ({ width, height, depth }, null = optimized),
+ *   strategy, objective (a preset name from objectives.js or { measure: weight }),
+ *   multiContainer, catalog, maxPayload, boxGap, wallClearance, reportVoidFill,
+ *   keepOutZones, door, deliveryMode, balance, improvement, timeBudgetMs, seed;
+ *   plus workers, the size of the worker pool
+ * @param {Object} [run]
+ * @param {Function} [run.onProgress] - receives { message, progress } (0-100)
+ * @param {Function} [run.onBest] - receives each better layout found while the run goes on
+ * @param {AbortSignal} [run.signal] - stops the run; the best layout so far is returned,
+ *   marked cancelled, or the promise rejects with the signal's reason when there is none
+ * @returns {Promise<Object>} the engine's result plus unplacedBoxes (the boxes that did
+ *   not fit) and stats (the figures of the app's result card); rejects when no packing
+ *   could be found, and with a TypeError or RangeError, before any search, on bad input: a
+ *   box with a size that is not a positive number or a quantity that is not a whole number
+ *   of 1 or more, an unknown strategy or improvement method, an objective that is not a
+ *   preset with weights ('weighted' has none: pass the weights themselves) or whose weights
+ *   are not positive numbers for known measures. Errors of the run itself are plain Errors
+ */
+export async function pack(items, options = {}, { onProgress, onBest, signal } = {}) {
+  checkItems(items);
+  checkOptions(options);
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+
+  const { workers, ...settings } = options;
+  const boxes = expandBoxes(items);
+  const params = {
+    ...settings,
+    boxes,
+    constraints: { width: null, height: null, depth: null, ...settings.constraints },
+    objective: typeof settings.objective === 'string'
+      ? getObjectiveWeights(settings.objective)
+      : settings.objective
+  };
+
+  const startTime = performance.now();
+  // Latest layout streamed by the engine; kept if the run is cancelled
+  let bestSoFar = null;
+  const onMessage = ({ type, message, progress, result }) => {
+    if (type === 'best') {
+      bestSoFar = result;
+      if (onBest) onBest(result);
+    } else if (type === 'progress' && onProgress) {
+      onProgress({ message, progress });
+    }
+  };
+
+  const run = typeof Worker !== 'undefined'
+    ? runInPool(params, onMessage, signal, workers)
+    : runInProcess(params, onMessage, signal);
+  let { type, result, error } = await run;
+
+  if (type === 'cancelled') {
+    if (!bestSoFar) throw signal.reason;
+    result = { ...bestSoFar, success: true, executionTime: Math.round(performance.now() - startTime), cancelled: true };
+  }
+  if (type === 'error' || !result.success) {
+    throw new Error(error || result.error || 'Unknown error');
+  }
+
+  const placed = new Set(result.placedBoxes.map(box => box.instanceId));
+  return {
+    ...result,
+    cancelled: Boolean(result.cancelled),
+    unplacedBoxes: boxes.filter(box => !placed.has(box.instanceId)),
+    stats: getStats(result, boxes, params)
+  };
+}
+
+// The engine never finishes on boxes without a size, so they are turned away up front
+function checkItems(items) {
+  if (!Array.isArray(items)) {
+    throw new TypeError('Expected an array of box definitions');
+  }
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new TypeError(`Box definition ${index} is not an object`);
+    }
+    const name = `Box ${item.id === undefined ? index : item.id}`;
+
+    ['width', 'height', 'depth'].forEach(dim => {
+      if (typeof item[dim] !== 'number') {
+        throw new TypeError(`${name}: ${dim} must be a number`);
+      }
+      if (!Number.isFinite(item[dim]) || item[dim] <= 0) {
+        throw new RangeError(`${name}: ${dim} must be positive and finite, got ${item[dim]}`);
+      }
+    });
+
+    if (item.quantity !== undefined) {
+      if (typeof item.quantity !== 'number') {
+        throw new TypeError(`${name}: quantity must be a number`);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        throw new RangeError(`${name}: quantity must be a whole number of 1 or more, got ${item.quantity}`);
+      }
+    }
+  });
+}
+
+// Names the engine would only reject once the run has started
+function checkOptions({ strategy, objective, improvement }) {
+  checkObjective(objective);
+  if (strategy && strategy !== 'auto' && !getStrategy(strategy)) {
+    throw new RangeError(`Unknown packing strategy: ${strategy}`);
+  }
+  if (improvement && improvement.method !== undefined && !IMPROVEMENT_METHODS[improvement.method]) {
+    throw new RangeError(`Unknown improvement method: ${improvement.method}`);
+  }
+}
+
+// A preset name with weights of its own, or { measure: weight } with a positive weight
+function checkObjective(objective) {
+  if (objective === undefined || objective === null) return;
+
+  if (typeof objective === 'string') {
+    if (!OBJECTIVES[objective]) {
+      throw new RangeError(`Unknown optimization objective: ${objective}`);
+    }
+    if (!OBJECTIVES[objective].weights) {
+      throw new RangeError(`The ${objective} objective has no weights of its own: pass them as { measure: weight }`);
+    }
+    return;
+  }
+  if (typeof objective !== 'object') {
+    throw new TypeError('Expected an objective name or { measure: weight }');
+  }
+
+  const weights = Object.entries(objective);
+  weights.forEach(([measure, weight]) => {
+    if (!OBJECTIVE_MEASURES[measure]) {
+      throw new RangeError(`Unknown objective measure: ${measure}`);
+    }
+    if (typeof weight !== 'number') {
+      throw new TypeError(`Objective weight of ${measure} must be a number`);
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new RangeError(`Objective weight of ${measure} must be zero or positive, got ${weight}`);
+    }
+  });
+  if (!weights.some(([, weight]) => weight > 0)) {
+    throw new RangeError('The optimization objective needs at least one positive weight');
+  }
+}
+
+// One box per unit of quantity, numbered, with its definition's id
+export function expandBoxes(items) {
+  const expanded = [];
+  let instanceId = 0;
+
+  items.forEach((boxDef, index) => {
+    for (let i = 0; i < (boxDef.quantity === undefined ? 1 : boxDef.quantity); i++) {
+      expanded.push({
+        instanceId: instanceId++,
+        definitionId: boxDef.id === undefined ? index : boxDef.id,
+        shape: boxDef.shape,
+        width: boxDef.width,
+        height: boxDef.height,
+        depth: boxDef.depth,
+        weight: boxDef.weight,
+        maxLoad: boxDef.maxLoad,
+        rotation: boxDef.rotation,
+        stackable: boxDef.stackable,
+        onlyOnSameType: boxDef.onlyOnSameType,
+        maxStack: boxDef.maxStack,
+        stop: boxDef.stop
+      });
+    }
+  });
+
+  return expanded;
+}
+
+// One worker per core; the pool stops them all when the run ends
+function runInPool(params, onMessage, signal, size) {
+  const pool = new WorkerPool(() => new Worker(new URL('./optimizer.worker.js', import.meta.url), { type: 'module' }), size);
+  const cancel = () => pool.cancel();
+  if (signal) signal.addEventListener('abort', cancel);
+
+  const run = pool.run(params, onMessage);
+  return run.finally(() => {
+    if (signal) signal.removeEventListener('abort', cancel);
+  });
+}
+
+// Without workers nothing can interrupt the engine from outside, so an abort (from a
+// callback, say) counts as running out of time: the run wraps up with what it has
+async function runInProcess(params, onMessage, signal) {
+  // Only imported here: in a page, loading the worker module would take over its messages
+  const { PackingWorker } = await import('./optimizer.worker.js');
+  const worker = new PackingWorker();
+  worker.postMessage = onMessage;
+  if (signal) {
+    const isOutOfTime = worker.isOutOfTime.bind(worker);
+    worker.isOutOfTime = () => signal.aborted || isOutOfTime();
+  }
+
+  try {
+    const result = await worker.optimize(params);
+    return signal && signal.aborted && result.success
+      ? { type: 'complete', result: { ...result, cancelled: true } }
+      : { type: 'complete', result };
+  } catch (err) {
+    return { type: 'error', error: err.message };
+  }
+}
+
+// Result card figures for a finished run
+function getStats(result, boxes, params) {
+  const totalBoxes = boxes.length;
+  const placedCount = result.placedBoxes.length;
+  const placedBoxVolume = result.placedBoxes.reduce((sum, box) =>
+      sum + (box.width * box.height * box.depth), 0);
+  const containerCount = result.containers.length;
+  const containerVolume = result.containers.reduce((sum, c) => sum + c.width * c.height * c.depth, 0);
+  const volumeUtilization = (placedBoxVolume / containerVolume) * 100;
+  const walls = 2 * (params.wallClearance || 0);
+  const usableVolume = result.containers.reduce((sum, c) => sum + (c.width - walls) * c.height * (c.depth - walls), 0);
+  const placedWeight = result.placedBoxes.reduce((sum, box) => sum + (box.weight || 0), 0);
+  const payloadCapacity = result.containers.every(c => c.maxPayload !== null && c.maxPayload !== undefined)
+    ? result.containers.reduce((sum, c) => sum + c.maxPayload, 0)
+    : null;
+
+  return {
+    placedCount,
+    totalBoxes,
+    volumeUtilization,
+    timeMs: result.executionTime,
+    strategy: result.strategy,
+    containerCount,
+    placedWeight,
+    payloadCapacity,
+    containerSize: formatDimensions(result.container, params.units || 'in'),
+    catalogSelection: result.catalogSelection || null,
+    balance: result.balance,
+    voidFill: result.voidFill,
+    lowerBound: result.lowerBound,
+    timedOut: Boolean(result.timedOut),
+    cancelled: Boolean(result.cancelled),
+    run: result.run || null,
+    usableUtilization: walls > 0 ? (placedBoxVolume / usableVolume) * 100 : null
+  };
+}
@@ -0,0 +1,42 @@
+// Seeded random numbers for the optimizer. Every random choice in a run comes
+// from the run's seed, so the same seed and settings reproduce the same layout.
+// Each phase (and each attempt within it) draws from its own stream, derived
+// from the seed by hashing, so the phases never reuse each other's numbers.
+
+// splitmix32 finalizer: spreads any 32-bit integer over the whole range
+function mix(value) {
+  let x = (value + 0x9e3779b9) | 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+/**
+ * Seed of a stream derived from a parent seed, e.g. deriveSeed(runSeed, phase, attempt)
+ * @param {number} seed - 32-bit unsigned integer
+ * @param {...number} keys - integers naming the stream
+ * @returns {number} 32-bit unsigned integer
+ */
+export function deriveSeed(seed, ...keys) {
+  return keys.reduce((state, key) => mix(state ^ (key >>> 0)), mix(seed >>> 0));
+}
+
+/**
+ * mulberry32 generator
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// New run seed when the user has not chosen one
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,188 @@
+// Constructive packing heuristics the worker can run by name.
+// A strategy decides the order boxes are tried in (score, higher first) and
+// which of the valid candidate positions wins (compareCandidates). It may also
+// group boxes into larger units before packing (prepare) and split a placed
+// unit back into individual boxes afterwards (expand).
+
+// Coordinates closer than this are treated as equal when ranking candidates
+const EPSILON = 0.001;
+
+// Build a candidate comparator from a list of keys, lowest value first
+const compareBy = (...keys) => (a, b) => {
+  for (const key of keys) {
+    const diff = key(a) - key(b);
+    if (Math.abs(diff) > EPSILON) return diff;
+  }
+  return 0;
+};
+
+const volumeOf = box => box.width * box.height * box.depth;
+
+const strategies = {
+  greedy: {
+    label: 'Greedy (largest first)',
+    // Volume sort, then bottom-back-left
+    score: volumeOf,
+    compareCandidates: compareBy(c => c.y, c => c.z, c => c.x)
+  },
+
+  layer: {
+    label: 'Layer building',
+    // Similar heights are packed together and the candidate that keeps the
+    // top of the load lowest wins, so horizontal layers fill before the next starts
+    score: box => box.height * 1000 + box.width * box.depth,
+    compareCandidates: compareBy(c => c.y + c.height / 2, c => c.y, c => c.z, c => c.x)
+  },
+
+  wall: {
+    label: 'Wall building',
+    // Deep boxes first; each vertical wall across the width is completed
+    // before the load advances towards the front
+    score: box => box.depth * 1000 + box.width * box.height,
+    compareCandidates: compareBy(c => c.z + c.depth / 2, c => c.y, c => c.x)
+  },
+
+  block: {
+    label: 'Block building',
+    // Identical boxes are merged into solid blocks that are packed as one unit
+    score: volumeOf,
+    compareCandidates: compareBy(c => c.y, c => c.z, c => c.x),
+    prepare: (boxes, container, getOrientations) => buildBlocks(boxes, container, getOrientations),
+    expand: expandBlock
+  }
+};
+
+export function getStrategy(name) {
+  return strategies[name] || null;
+}
+
+export function getStrategyNames() {
+  return Object.keys(strategies);
+}
+
+// Group identical boxes and cut each group into the largest blocks that fit.
+// Members of a block keep the container's box gap between them horizontally.
+function buildBlocks(boxes, container, getOrientations) {
+  const gap = container.boxGap || 0;
+  const groups = new Map();
+  boxes.forEach(box => {
+    if (!groups.has(box.definitionId)) groups.set(box.definitionId, []);
+    groups.get(box.definitionId).push(box);
+  });
+
+  const items = [];
+
+  groups.forEach(members => {
+    let remaining = members;
+
+    while (remaining.length > 0) {
+      const layout = findBlockLayout(remaining[0], remaining.length, container, getOrientations);
+
+      // Anything but a block of two or more of the boxes left (a single box, or no
+      // count at all from unusable sizes) packs the rest one by one, so the loop ends
+      if (!layout || !(layout.count > 1 && layout.count <= remaining.length)) {
+        items.push(...remaining);
+        break;
+      }
+
+      const blockMembers = remaining.slice(0, layout.count);
+      remaining = remaining.slice(layout.count);
+
+      items.push({
+        ...blockMembers[0],
+        // The block itself is a solid cuboid, even when its members are cylinders
+        shape: 'box',
+        weight: blockMembers.reduce((sum, box) => sum + (box.weight || 0), 0),
+        width: layout.unit.width * layout.counts.x + gap * (layout.counts.x - 1),
+        height: layout.unit.height * layout.counts.y,
+        depth: layout.unit.depth * layout.counts.z + gap * (layout.counts.z - 1),
+        block: {
+          unit: layout.unit,
+          counts: layout.counts,
+          gap,
+          members: blockMembers
+        }
+      });
+    }
+  });
+
+  return items;
+}
+
+// Largest nx × ny × nz arrangement of at most `available` boxes that fits the container.
+// Ties go to the most compact block (smallest surface area).
+function findBlockLayout(box, available, container, getOrientations) {
+  let best = null;
+
+  // The bottom box of a column carries every box stacked above it
+  const weight = box.weight || 0;
+  let maxLayers = (box.maxLoad !== null && box.maxLoad !== undefined && weight > 0)
+    ? Math.floor(box.maxLoad / weight) + 1
+    : available;
+
+  // Stacking rules cap the column as well
+  if (box.stackable === false) maxLayers = 1;
+  if (box.maxStack) maxLayers = Math.min(maxLayers, box.maxStack);
+
+  // Room inside the wall clearance; every box after the first in a row needs a gap
+  const gap = container.boxGap || 0;
+  const walls = 2 * (container.wallClearance || 0);
+  const fit = (space, size) => Math.floor((space + gap) / (size + gap) + EPSILON);
+
+  for (const unit of getOrientations(box)) {
+    const maxX = Math.min(fit(container.width - walls, unit.width), available);
+    const maxY = Math.min(Math.floor(container.height / unit.height + EPSILON), available, maxLayers);
+    const maxZ = Math.min(fit(container.depth - walls, unit.depth), available);
+
+    for (let nx = 1; nx <= maxX; nx++) {
+      for (let ny = 1; ny <= Math.min(maxY, Math.floor(available / nx)); ny++) {
+        const nz = Math.min(maxZ, Math.floor(available / (nx * ny)));
+        if (nz < 1) continue;
+
+        const count = nx * ny * nz;
+        const w = unit.width * nx + gap * (nx - 1);
+        const h = unit.height * ny;
+        const d = unit.depth * nz + gap * (nz - 1);
+        const surface = w * h + w * d + h * d;
+
+        if (!best || count > best.count || (count === best.count && surface < best.surface)) {
+          best = {
+            count,
+            surface,
+            unit,
+            counts: { x: nx, y: ny, z: nz }
+          };
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// Lay the member boxes of a placed block out on its grid
+function expandBlock(placedBlock) {
+  const { unit, counts, gap, members } = placedBlock.block;
+  const minX = placedBlock.x - placedBlock.width / 2;
+  const minY = placedBlock.y - placedBlock.height / 2;
+  const minZ = placedBlock.z - placedBlock.depth / 2;
+  const placed = [];
+  let index = 0;
+
+  for (let iy = 0; iy < counts.y; iy++) {
+    for (let iz = 0; iz < counts.z; iz++) {
+      for (let ix = 0; ix < counts.x; ix++) {
+        placed.push({
+          ...members[index++],
+          x: minX + ix * (unit.width + gap) + unit.width / 2,
+          y: minY + (iy + 0.5) * unit.height,
+          z: minZ + iz * (unit.depth + gap) + unit.depth / 2,
+          // Dimensions and orientation (plus axis, for cylinders)
+          ...unit
+        });
+      }
+    }
+  }
+
+  return placed;
+}
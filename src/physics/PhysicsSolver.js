@@ -1,3 +1,22 @@
+import { SpatialGrid, getNearbyBoxes } from './SpatialGrid.js';
+
+// Horizontal axis each door face opens along, and which way the door lies
+const DOOR_AXES = {
+  front: { axis: 'z', size: 'depth', sign: 1 },
+  back: { axis: 'z', size: 'depth', sign: -1 },
+  right: { axis: 'x', size: 'width', sign: 1 },
+  left: { axis: 'x', size: 'width', sign: -1 }
+};
+
+// Maps each axis to the box dimension measured along it
+const AXIS_SIZE = { x: 'width', y: 'height', z: 'depth' };
+
+// The two axes of the plane a cylinder is a circle in, keyed by its own axis
+const CROSS_SECTION = { x: ['y', 'z'], y: ['x', 'z'], z: ['x', 'y'] };
+
+// Faces closer than this touch (rounding in the coordinates, not a real gap)
+const CONTACT_TOLERANCE = 1e-6;
+
 export class PhysicsSolver {
   constructor() {
     this.gravity = 9.81; // Standard gravity
@@ -6,8 +25,11 @@ export class PhysicsSolver {
   /**
    * Check if two axis-aligned bounding boxes (AABBs) overlap
    * Boxes are defined by their position (center) and dimensions
+   * gap: minimum horizontal spacing between the boxes (stacked boxes still touch)
+   * Cylinders (shape 'cylinder', lying along `axis`) get a closer look when
+   * their bounding boxes overlap
    */
-  checkCollision(box1, box2) {
+  checkCollision(box1, box2, gap = 0) {
     // Calculate bounds for box1
     const b1MinX = box1.x - box1.width / 2;
     const b1MaxX = box1.x + box1.width / 2;
@@ -25,28 +47,98 @@ export class PhysicsSolver {
     const b2MaxZ = box2.z + box2.depth / 2;
     
     // Check for overlap on all three axes
-    const overlapX = b1MaxX > b2MinX && b1MinX < b2MaxX;
+    const overlapX = b1MaxX + gap > b2MinX && b1MinX < b2MaxX + gap;
     const overlapY = b1MaxY > b2MinY && b1MinY < b2MaxY;
-    const overlapZ = b1MaxZ > b2MinZ && b1MinZ < b2MaxZ;
+    const overlapZ = b1MaxZ + gap > b2MinZ && b1MinZ < b2MaxZ + gap;
     
-    return overlapX && overlapY && overlapZ;
+    if (!(overlapX && overlapY && overlapZ)) {
+      return false;
+    }
+    
+    if (box1.shape !== 'cylinder' && box2.shape !== 'cylinder') {
+      return true;
+    }
+    
+    return this.checkCylinderCollision(box1, box2, gap);
+  }
+  
+  /**
+   * Seen along its axis a cylinder is a circle. Two items whose bounding boxes
+   * overlap can only touch if their outlines also overlap in that view, for
+   * every cylinder involved (crossed cylinders are judged conservatively)
+   */
+  checkCylinderCollision(box1, box2, gap = 0) {
+    for (const [cylinder, other] of [[box1, box2], [box2, box1]]) {
+      if (cylinder.shape === 'cylinder' && !this.outlinesOverlap(cylinder, other, gap)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Overlap of a cylinder's circle with the outline of another item in the
+   * plane across the cylinder's axis: a circle for a parallel cylinder,
+   * otherwise the item's bounding rectangle
+   */
+  outlinesOverlap(cylinder, other, gap = 0) {
+    const axis = cylinder.axis || 'y';
+    const [u, v] = CROSS_SECTION[axis];
+    const radius = cylinder[AXIS_SIZE[u]] / 2;
+    const du = other[u] - cylinder[u];
+    const dv = other[v] - cylinder[v];
+    const epsilon = 1e-6;
+    
+    if (other.shape === 'cylinder' && (other.axis || 'y') === axis) {
+      const distance = Math.hypot(du, dv);
+      // The gap only applies to the horizontal part of the offset
+      const horizontal = distance > 0
+        ? (u === 'y' ? 0 : Math.abs(du)) + (v === 'y' ? 0 : Math.abs(dv))
+        : 0;
+      const spacing = distance > 0 ? gap * Math.min(horizontal / distance, 1) : gap;
+      return distance < radius + other[AXIS_SIZE[u]] / 2 + spacing - epsilon;
+    }
+    
+    // Distance from the circle's center to the (gap-widened) rectangle
+    const halfU = other[AXIS_SIZE[u]] / 2 + (u === 'y' ? 0 : gap);
+    const halfV = other[AXIS_SIZE[v]] / 2 + (v === 'y' ? 0 : gap);
+    const outU = Math.max(Math.abs(du) - halfU, 0);
+    const outV = Math.max(Math.abs(dv) - halfV, 0);
+    return outU * outU + outV * outV < (radius - epsilon) * (radius - epsilon);
   }
   
   /**
    * Check if a box collides with any boxes in a list
+   * Lists of placed boxes in this class may be arrays or a SpatialGrid; with a
+   * grid only the boxes near the space being tested are looked at
    */
-  checkCollisionWithList(box, boxList) {
-    for (const other of boxList) {
-      if (this.checkCollision(box, other)) {
+  checkCollisionWithList(box, boxList, gap = 0) {
+    for (const other of getNearbyBoxes(boxList, this.getBounds(box, gap))) {
+      if (this.checkCollision(box, other, gap)) {
         return true;
       }
     }
     return false;
   }
   
+  /**
+   * Bounds of a box, widened horizontally by a gap
+   */
+  getBounds(box, gap = 0) {
+    return {
+      minX: box.x - box.width / 2 - gap,
+      maxX: box.x + box.width / 2 + gap,
+      minY: box.y - box.height / 2,
+      maxY: box.y + box.height / 2,
+      minZ: box.z - box.depth / 2 - gap,
+      maxZ: box.z + box.depth / 2 + gap
+    };
+  }
+  
   /**
    * Check if a box is within container bounds
-   * Container is positioned at origin with dimensions
+   * Container is positioned at origin with dimensions; the side walls
+   * are moved in by container.wallClearance
    */
   isWithinContainer(box, container) {
     const boxMinX = box.x - box.width / 2;
@@ -56,12 +148,13 @@ export class PhysicsSolver {
     const boxMinZ = box.z - box.depth / 2;
     const boxMaxZ = box.z + box.depth / 2;
     
-    const containerMinX = -container.width / 2;
-    const containerMaxX = container.width / 2;
+    const clearance = container.wallClearance || 0;
+    const containerMinX = -container.width / 2 + clearance;
+    const containerMaxX = container.width / 2 - clearance;
     const containerMinY = 0;
     const containerMaxY = container.height;
-    const containerMinZ = -container.depth / 2;
-    const containerMaxZ = container.depth / 2;
+    const containerMinZ = -container.depth / 2 + clearance;
+    const containerMaxZ = container.depth / 2 - clearance;
     
     return boxMinX >= containerMinX &&
            boxMaxX <= containerMaxX &&
@@ -72,70 +165,69 @@ export class PhysicsSolver {
   }
   
   /**
-   * Apply gravity simulation to drop a box to its resting position
-   * Returns the final Y position where the box should rest
+   * Drop a box straight down to its resting position
+   * It comes to rest on the highest top under its footprint that is not above
+   * its current bottom, or on the floor (Y = 0)
+   * Returns the Y position of its center, touching that top exactly
    */
   dropBox(box, placedBoxes, container) {
-    const epsilon = 0.001; // Small value to avoid floating point issues
+    const bounds = this.getBounds(box);
+    let restingY = 0;
     
-    // Start from current Y position and drop down
-    let testY = box.y;
-    const minY = box.height / 2; // Bottom of container (floor is at Y=0)
-    
-    // Drop in small increments until we hit something
-    while (testY > minY) {
-      const testBox = { ...box, y: testY };
-      
-      // Check if this position collides with any placed boxes
-      let collision = false;
-      for (const placedBox of placedBoxes) {
-        if (this.checkCollision(testBox, placedBox)) {
-          collision = true;
-          break;
-        }
-      }
-      
-      if (collision) {
-        // Move back up slightly and return
-        return testY + 0.1;
+    for (const placedBox of getNearbyBoxes(placedBoxes, { ...bounds, minY: 0 })) {
+      const placedTopY = placedBox.y + placedBox.height / 2;
+      if (placedTopY <= bounds.minY + CONTACT_TOLERANCE && placedTopY > restingY &&
+          this.overlapsFromAbove(box, placedBox)) {
+        restingY = placedTopY;
       }
-      
-      testY -= 0.5; // Drop increment
     }
     
-    // Rests on the floor
-    return minY + epsilon;
+    return restingY + box.height / 2;
   }
   
   /**
-   * Calculate support stability score
-   * Higher score = more stable (more support from below)
-   * Returns value between 0 and 1
+   * Check if two boxes overlap seen from above; boxes that only touch along an
+   * edge do not. Upright cylinders are circles in this view
    */
-  calculateStability(box, placedBoxes, container) {
+  overlapsFromAbove(box1, box2) {
+    const overlaps = (axis, size) =>
+      Math.abs(box1[axis] - box2[axis]) < (box1[size] + box2[size]) / 2 - CONTACT_TOLERANCE;
+    if (!overlaps('x', 'width') || !overlaps('z', 'depth')) {
+      return false;
+    }
+    
+    for (const [cylinder, other] of [[box1, box2], [box2, box1]]) {
+      if (cylinder.shape === 'cylinder' && (cylinder.axis || 'y') === 'y' && !this.outlinesOverlap(cylinder, other)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Find the placed boxes directly below a box and the area each one supports
+   * Returns [{ box, area, region }] for every box whose top touches the bottom face,
+   * region being the contact rectangle { minX, maxX, minZ, maxZ }
+   */
+  getSupportingBoxes(box, placedBoxes) {
     const boxMinX = box.x - box.width / 2;
     const boxMaxX = box.x + box.width / 2;
     const boxMinZ = box.z - box.depth / 2;
     const boxMaxZ = box.z + box.depth / 2;
     const boxBottomY = box.y - box.height / 2;
     
-    // If resting on floor, it's perfectly stable
-    if (Math.abs(boxBottomY) < 0.1) {
-      return 1.0;
-    }
-    
-    // Calculate the bottom face area
-    const bottomArea = box.width * box.depth;
-    let supportedArea = 0;
+    const supports = [];
+    const below = getNearbyBoxes(placedBoxes, {
+      minX: boxMinX, maxX: boxMaxX,
+      minY: boxBottomY - CONTACT_TOLERANCE, maxY: boxBottomY + CONTACT_TOLERANCE,
+      minZ: boxMinZ, maxZ: boxMaxZ
+    });
     
-    // Check each placed box to see if it provides support
-    const supportThreshold = 0.5; // How close boxes need to be to provide support
-    
-    for (const placedBox of placedBoxes) {
+    for (const placedBox of below) {
       const placedTopY = placedBox.y + placedBox.height / 2;
       
-      // Check if this box is directly below (within threshold)
-      if (Math.abs(placedTopY - boxBottomY) < supportThreshold) {
+      // Check if this box's top touches the bottom face
+      if (Math.abs(placedTopY - boxBottomY) < CONTACT_TOLERANCE && this.overlapsFromAbove(box, placedBox)) {
         // Calculate overlap area in XZ plane
         const overlapMinX = Math.max(boxMinX, placedBox.x - placedBox.width / 2);
         const overlapMaxX = Math.min(boxMaxX, placedBox.x + placedBox.width / 2);
@@ -143,12 +235,36 @@ export class PhysicsSolver {
         const overlapMaxZ = Math.min(boxMaxZ, placedBox.z + placedBox.depth / 2);
         
         if (overlapMaxX > overlapMinX && overlapMaxZ > overlapMinZ) {
-          const overlapArea = (overlapMaxX - overlapMinX) * (overlapMaxZ - overlapMinZ);
-          supportedArea += overlapArea;
+          supports.push({
+            box: placedBox,
+            area: (overlapMaxX - overlapMinX) * (overlapMaxZ - overlapMinZ),
+            region: { minX: overlapMinX, maxX: overlapMaxX, minZ: overlapMinZ, maxZ: overlapMaxZ }
+          });
         }
       }
     }
     
+    return supports;
+  }
+  
+  /**
+   * Calculate support stability score
+   * Higher score = more stable (more support from below)
+   * Returns value between 0 and 1
+   */
+  calculateStability(box, placedBoxes, container) {
+    const boxBottomY = box.y - box.height / 2;
+    
+    // If resting on floor, it's perfectly stable
+    if (Math.abs(boxBottomY) < CONTACT_TOLERANCE) {
+      return 1.0;
+    }
+    
+    // Calculate the bottom face area
+    const bottomArea = box.width * box.depth;
+    const supportedArea = this.getSupportingBoxes(box, placedBoxes)
+      .reduce((sum, support) => sum + support.area, 0);
+    
     // Return ratio of supported area to total bottom area
     const stability = Math.min(supportedArea / bottomArea, 1.0);
     
@@ -160,6 +276,295 @@ export class PhysicsSolver {
     return stability;
   }
   
+  /**
+   * Work out how a box's weight flows down through the boxes below it
+   * Weight is shared between supports in proportion to contact area and
+   * passed on through each support's own supports (recorded by applyLoad);
+   * each share bears down on the middle of the contact it passes through
+   * Returns a Map of placed box -> { load, momentX, momentZ }: the additional
+   * load it would carry and that load times where it bears down
+   */
+  distributeLoad(box, placedBoxes) {
+    const loads = new Map();
+    const weight = box.weight || 0;
+    if (weight <= 0) {
+      return loads;
+    }
+    
+    const supports = this.getSupportingBoxes(box, placedBoxes);
+    const totalArea = supports.reduce((sum, support) => sum + support.area, 0);
+    const queue = supports.map(support => ({
+      box: support.box,
+      load: weight * support.area / totalArea,
+      ...this.getRegionCenter(support.region)
+    }));
+    
+    while (queue.length > 0) {
+      const { box: loaded, load, x, z } = queue.pop();
+      const total = loads.get(loaded) || { load: 0, momentX: 0, momentZ: 0 };
+      total.load += load;
+      total.momentX += load * x;
+      total.momentZ += load * z;
+      loads.set(loaded, total);
+      
+      for (const support of loaded.supportedBy || []) {
+        queue.push({ box: support.box, load: load * support.share, ...this.getRegionCenter(support.region) });
+      }
+    }
+    
+    return loads;
+  }
+  
+  getRegionCenter(region) {
+    return { x: (region.minX + region.maxX) / 2, z: (region.minZ + region.maxZ) / 2 };
+  }
+  
+  /**
+   * Commit a placed box to the load graph: remember what it rests on and
+   * add its weight (and where it bears down) to every box below it
+   */
+  applyLoad(box, placedBoxes) {
+    const supports = this.getSupportingBoxes(box, placedBoxes);
+    const totalArea = supports.reduce((sum, support) => sum + support.area, 0);
+    
+    for (const [loaded, { load, momentX, momentZ }] of this.distributeLoad(box, placedBoxes)) {
+      loaded.loadAbove = (loaded.loadAbove || 0) + load;
+      loaded.loadMomentX = (loaded.loadMomentX || 0) + momentX;
+      loaded.loadMomentZ = (loaded.loadMomentZ || 0) + momentZ;
+    }
+    
+    box.loadAbove = box.loadAbove || 0;
+    box.supportedBy = supports.map(support => ({
+      box: support.box,
+      share: support.area / totalArea,
+      region: support.region
+    }));
+    box.stackLevel = this.getStackLevel(supports);
+  }
+  
+  /**
+   * Check that a box would not tip over, nor tip any box it rests on: the center
+   * of mass of each box, together with everything resting on it, has to lie
+   * inside the convex hull of the areas the box rests on (an overhang that
+   * leaves it on the edge tips). Boxes standing on the floor cannot tip, and
+   * keep-out zones never move.
+   */
+  isWithinTippingLimits(box, placedBoxes) {
+    const supports = this.getSupportingBoxes(box, placedBoxes);
+    if (supports.length > 0 && !this.isOverSupport(box, supports.map(support => support.region))) {
+      return false;
+    }
+    
+    for (const [loaded, { load, momentX, momentZ }] of this.distributeLoad(box, placedBoxes)) {
+      if (loaded.obstacle || !loaded.supportedBy || loaded.supportedBy.length === 0) continue;
+      
+      const weight = loaded.weight || 0;
+      const total = weight + (loaded.loadAbove || 0) + load;
+      const centerOfMass = {
+        x: (weight * loaded.x + (loaded.loadMomentX || 0) + momentX) / total,
+        z: (weight * loaded.z + (loaded.loadMomentZ || 0) + momentZ) / total
+      };
+      if (!this.isOverSupport(centerOfMass, loaded.supportedBy.map(support => support.region))) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check that a point (x, z) lies strictly inside the convex hull of some
+   * contact rectangles, seen from above
+   */
+  isOverSupport(point, regions) {
+    // Usually the point is over one of the rectangles, which is inside the hull
+    const isInside = (value, min, max) => value > min + CONTACT_TOLERANCE && value < max - CONTACT_TOLERANCE;
+    if (regions.some(({ minX, maxX, minZ, maxZ }) => isInside(point.x, minX, maxX) && isInside(point.z, minZ, maxZ))) {
+      return true;
+    }
+    
+    const corners = regions.flatMap(({ minX, maxX, minZ, maxZ }) => [
+      { x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }
+    ]);
+    const hull = this.getConvexHull(corners);
+    
+    // Counter-clockwise hull: the point is left of every edge, by more than the tolerance
+    return hull.every((start, i) => {
+      const end = hull[(i + 1) % hull.length];
+      const length = Math.hypot(end.x - start.x, end.z - start.z);
+      const cross = (end.x - start.x) * (point.z - start.z) - (end.z - start.z) * (point.x - start.x);
+      return cross > CONTACT_TOLERANCE * length;
+    });
+  }
+  
+  /**
+   * Convex hull of points in the XZ plane (monotone chain), counter-clockwise
+   * with X to the right and Z up
+   */
+  getConvexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const chain = list => {
+      const result = [];
+      for (const point of list) {
+        while (result.length >= 2 && cross(result[result.length - 2], result[result.length - 1], point) <= 0) {
+          result.pop();
+        }
+        result.push(point);
+      }
+      result.pop();
+      return result;
+    };
+    
+    return [...chain(sorted), ...chain([...sorted].reverse())];
+  }
+  
+  /**
+   * Position of a box in its vertical stack: 1 on the floor, otherwise one
+   * above the highest box it rests on (keep-out zones count as floor, level 0)
+   */
+  getStackLevel(supports) {
+    return supports.reduce((level, support) => {
+      const below = support.box.stackLevel !== undefined ? support.box.stackLevel : 1;
+      return Math.max(level, below + 1);
+    }, 1);
+  }
+  
+  /**
+   * Check the per-type stacking rules:
+   * - stackable: false  -> nothing may rest on the box
+   * - onlyOnSameType    -> the box rests on the floor or on boxes of its own type only
+   * - maxStack          -> no stack through a box of this type is more than maxStack boxes high
+   * A block counts as its number of layers
+   */
+  isWithinStackingRules(box, placedBoxes) {
+    const supports = this.getSupportingBoxes(box, placedBoxes);
+    if (supports.length === 0) {
+      return this.getStackHeight(box) <= (box.maxStack || Infinity);
+    }
+    
+    if (supports.some(support => support.box.stackable === false)) {
+      return false;
+    }
+    
+    // The top of a keep-out zone counts as floor
+    if (box.onlyOnSameType && supports.some(support => !support.box.obstacle && support.box.definitionId !== box.definitionId)) {
+      return false;
+    }
+    
+    // Top of the new stack, checked against every box it rests on, all the way down
+    const topLevel = this.getStackLevel(supports) + this.getStackHeight(box) - 1;
+    if (topLevel > (box.maxStack || Infinity)) {
+      return false;
+    }
+    
+    const visited = new Set();
+    const queue = supports.map(support => support.box);
+    while (queue.length > 0) {
+      const below = queue.pop();
+      if (visited.has(below)) continue;
+      visited.add(below);
+      
+      if (below.maxStack && topLevel > below.maxStack) {
+        return false;
+      }
+      (below.supportedBy || []).forEach(support => queue.push(support.box));
+    }
+    
+    return true;
+  }
+  
+  getStackHeight(box) {
+    return box.block ? box.block.counts.y : 1;
+  }
+  
+  /**
+   * Position of a box's door-facing side along the door axis, increasing towards the door
+   */
+  getDoorSideFace(box, door) {
+    const { axis, size, sign } = DOOR_AXES[door];
+    return sign * box[axis] + box[size] / 2;
+  }
+  
+  /**
+   * Check a box against the unloading order: a box for an earlier stop must
+   * never sit behind (further from the door) or underneath a box for a later stop.
+   * Boxes without a stop are unloaded last
+   */
+  isWithinUnloadingOrder(box, placedBoxes, door) {
+    const rank = b => (b.stop !== null && b.stop !== undefined ? b.stop : Infinity);
+    
+    // Only boxes above or below the box, or level with it along the door axis, can block or be blocked
+    const bounds = this.getBounds(box);
+    const alongDoor = DOOR_AXES[door].axis === 'z'
+      ? { minZ: -Infinity, maxZ: Infinity }
+      : { minX: -Infinity, maxX: Infinity };
+    const nearby = new Set([
+      ...getNearbyBoxes(placedBoxes, { ...bounds, minY: -Infinity, maxY: Infinity }),
+      ...getNearbyBoxes(placedBoxes, { ...bounds, ...alongDoor })
+    ]);
+    
+    for (const placedBox of nearby) {
+      // Keep-out zones are part of the container and never unloaded
+      if (placedBox.obstacle || rank(placedBox) === rank(box)) continue;
+      
+      const [first, later] = rank(placedBox) < rank(box) ? [placedBox, box] : [box, placedBox];
+      if (this.isBlocking(later, first, door)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Whether `blocker` has to come out before `box` can be taken out through the door:
+   * it lies between the box and the door, or rests above it
+   */
+  isBlocking(blocker, box, door) {
+    const { axis, size, sign } = DOOR_AXES[door];
+    const across = axis === 'z' ? 'x' : 'z';
+    const acrossSize = axis === 'z' ? 'width' : 'depth';
+    const overlaps = (a, aSize) =>
+      Math.abs(blocker[a] - box[a]) < (blocker[aSize] + box[aSize]) / 2 - 1e-9;
+    
+    // Above the box, anywhere over its footprint
+    if (overlaps('x', 'width') && overlaps('z', 'depth') && blocker.y > box.y) {
+      return true;
+    }
+    
+    // In the box's path to the door
+    return overlaps(across, acrossSize) && overlaps('y', 'height') &&
+      sign * (blocker[axis] - box[axis]) > 0 && !overlaps(axis, size);
+  }
+  
+  /**
+   * Check that adding a box keeps every box below within its load rating
+   * and the whole load within the container's payload
+   */
+  isWithinLoadLimits(box, placedBoxes, container) {
+    const weight = box.weight || 0;
+    const tolerance = 1e-9; // Shares of a load do not always sum back exactly
+    
+    if (container.maxPayload !== null && container.maxPayload !== undefined) {
+      const totalWeight = placedBoxes instanceof SpatialGrid
+        ? placedBoxes.totalWeight
+        : placedBoxes.reduce((sum, placedBox) => sum + (placedBox.weight || 0), 0);
+      if (totalWeight + weight > container.maxPayload + tolerance) {
+        return false;
+      }
+    }
+    
+    for (const [loaded, { load }] of this.distributeLoad(box, placedBoxes)) {
+      if (loaded.maxLoad !== null && loaded.maxLoad !== undefined &&
+          (loaded.loadAbove || 0) + load > loaded.maxLoad + tolerance) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
   /**
    * Check if a placement is valid (no collisions, within bounds, stable enough)
    */
@@ -169,20 +574,162 @@ export class PhysicsSolver {
       return false;
     }
     
-    // Check collisions with other boxes
-    if (this.checkCollisionWithList(box, placedBoxes)) {
+    // Check collisions with other boxes, keeping the minimum gap between them
+    if (this.checkCollisionWithList(box, placedBoxes, container.boxGap || 0)) {
       return false;
     }
     
     // Check stability (unless resting on floor)
     const bottomY = box.y - box.height / 2;
-    if (bottomY > 0.1) {
+    if (bottomY > CONTACT_TOLERANCE) {
       const stability = this.calculateStability(box, placedBoxes, container);
       if (stability < minStability) {
         return false;
       }
+      
+      // Enough support is not enough if it is all on one side
+      if (!this.isWithinTippingLimits(box, placedBoxes)) {
+        return false;
+      }
+    }
+    
+    // Check what the box may be stacked on
+    if (!this.isWithinStackingRules(box, placedBoxes)) {
+      return false;
+    }
+    
+    // Check crush ratings of the boxes below and the container payload
+    if (!this.isWithinLoadLimits(box, placedBoxes, container)) {
+      return false;
     }
     
     return true;
   }
+  
+  /**
+   * Combined center of gravity of the load
+   * Returns { x, y, z, totalWeight }, or null for a weightless load
+   */
+  calculateCenterOfGravity(placedBoxes) {
+    let totalWeight = 0;
+    let momentX = 0;
+    let momentY = 0;
+    let momentZ = 0;
+    
+    for (const box of placedBoxes) {
+      const weight = box.weight || 0;
+      totalWeight += weight;
+      momentX += weight * box.x;
+      momentY += weight * box.y;
+      momentZ += weight * box.z;
+    }
+    
+    if (totalWeight <= 0) {
+      return null;
+    }
+    
+    return {
+      x: momentX / totalWeight,
+      y: momentY / totalWeight,
+      z: momentZ / totalWeight,
+      totalWeight
+    };
+  }
+  
+  /**
+   * Weight resting on each quarter of the container floor
+   * Each box's weight is split by how much of its footprint lies in each quarter
+   * Returns { backLeft, backRight, frontLeft, frontRight }
+   */
+  calculateQuadrantLoads(placedBoxes) {
+    const loads = { backLeft: 0, backRight: 0, frontLeft: 0, frontRight: 0 };
+    
+    for (const box of placedBoxes) {
+      const weight = box.weight || 0;
+      const minX = box.x - box.width / 2;
+      const minZ = box.z - box.depth / 2;
+      
+      // Share of the footprint on the left (x < 0) and back (z < 0) halves
+      const left = Math.min(Math.max(-minX / box.width, 0), 1);
+      const back = Math.min(Math.max(-minZ / box.depth, 0), 1);
+      
+      loads.backLeft += weight * left * back;
+      loads.backRight += weight * (1 - left) * back;
+      loads.frontLeft += weight * left * (1 - back);
+      loads.frontRight += weight * (1 - left) * (1 - back);
+    }
+    
+    return loads;
+  }
+  
+  /**
+   * Split the load between two axles by the lever rule
+   * Axle positions are distances from the back wall (z = -depth / 2)
+   * A negative load means the axle is being lifted
+   */
+  calculateAxleLoads(centerOfGravity, container, axles) {
+    const cogDistance = centerOfGravity.z + container.depth / 2;
+    const span = axles.rearPosition - axles.frontPosition;
+    const rear = span !== 0
+      ? centerOfGravity.totalWeight * (cogDistance - axles.frontPosition) / span
+      : centerOfGravity.totalWeight / 2;
+    
+    return {
+      front: centerOfGravity.totalWeight - rear,
+      rear
+    };
+  }
+  
+  /**
+   * Check the load's weight distribution against the balance settings
+   * balance.region: allowed CoG area as fractions of the container width/depth, centered
+   * balance.axles: optional { frontPosition, rearPosition, frontLimit, rearLimit }
+   * Returns the figures plus a penalty that is 0 when every limit is met
+   */
+  evaluateBalance(placedBoxes, container, balance) {
+    const centerOfGravity = this.calculateCenterOfGravity(placedBoxes);
+    if (!centerOfGravity) {
+      return null;
+    }
+    
+    const violations = [];
+    let penalty = 0;
+    
+    // Distance outside the allowed region, as a fraction of the container size
+    const halfRegionX = container.width * balance.region.width / 2;
+    const halfRegionZ = container.depth * balance.region.depth / 2;
+    // (small tolerance for rounding in the load shift that centers the CoG)
+    const outsideX = Math.max(0, Math.abs(centerOfGravity.x) - halfRegionX - 1e-6) / container.width;
+    const outsideZ = Math.max(0, Math.abs(centerOfGravity.z) - halfRegionZ - 1e-6) / container.depth;
+    const withinRegion = outsideX === 0 && outsideZ === 0;
+    
+    if (!withinRegion) {
+      violations.push('Center of gravity is outside the allowed region');
+      penalty += outsideX + outsideZ;
+    }
+    
+    let axleLoads = null;
+    if (balance.axles) {
+      axleLoads = this.calculateAxleLoads(centerOfGravity, container, balance.axles);
+      
+      [['front', balance.axles.frontLimit], ['rear', balance.axles.rearLimit]].forEach(([axle, limit]) => {
+        if (axleLoads[axle] < -1e-9) {
+          violations.push(`The ${axle} axle is lifted`);
+          penalty += -axleLoads[axle] / centerOfGravity.totalWeight;
+        } else if (limit !== null && limit !== undefined && axleLoads[axle] > limit + 1e-9) {
+          violations.push(`The ${axle} axle is overloaded`);
+          penalty += (axleLoads[axle] - limit) / centerOfGravity.totalWeight;
+        }
+      });
+    }
+    
+    return {
+      centerOfGravity,
+      quadrantLoads: this.calculateQuadrantLoads(placedBoxes),
+      axleLoads,
+      withinRegion,
+      violations,
+      penalty
+    };
+  }
 }
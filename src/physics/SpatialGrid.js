@@ -0,0 +1,128 @@
+// Cells are kept in a Map keyed by a single number built from the three cell
+// indices, each offset so that negative cells (the container is centered on X/Z)
+// stay positive
+const CELL_OFFSET = 1 << 16;
+const CELL_RANGE = 1 << 17;
+
+// Query bounds are widened by this much so boxes that just touch them are found
+const TOLERANCE = 1e-6;
+
+/**
+ * Uniform grid over placed boxes, so collision, support and projection checks
+ * only look at the boxes near the space they test instead of every box placed.
+ * Each box is registered in every cell its bounds overlap; a query returns the
+ * boxes registered in the cells the query bounds overlap. That is a superset of
+ * the boxes that really touch the bounds, so callers still run their exact test.
+ * Boxes are added as they are placed and never move or leave the grid.
+ */
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - edge length of a cubic cell, ideally about one box
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    // Every box, in the order added
+    this.boxes = [];
+    this.totalWeight = 0;
+    // Range of occupied cells, so open-ended queries stop where the boxes do
+    this.min = { x: Infinity, y: Infinity, z: Infinity };
+    this.max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  }
+
+  /**
+   * Cell size for a set of boxes: their average largest dimension, so a typical
+   * box covers a few cells and a cell holds a few boxes
+   * @param {Object[]} boxes
+   * @param {Object} container - keeps the cell count per axis bounded for tiny boxes
+   */
+  static getCellSize(boxes, container) {
+    const largest = boxes.reduce((sum, box) => sum + Math.max(box.width, box.height, box.depth), 0);
+    const average = boxes.length > 0 ? largest / boxes.length : 1;
+    const extent = Math.max(container.width, container.height, container.depth);
+    return Math.max(average, extent / 1024, 1e-3);
+  }
+
+  [Symbol.iterator]() {
+    return this.boxes[Symbol.iterator]();
+  }
+
+  add(box) {
+    this.boxes.push(box);
+    this.totalWeight += box.weight || 0;
+
+    const range = this.getCellRange(this.getBounds(box));
+    ['x', 'y', 'z'].forEach(axis => {
+      this.min[axis] = Math.min(this.min[axis], range.min[axis]);
+      this.max[axis] = Math.max(this.max[axis], range.max[axis]);
+    });
+
+    this.forEachCell(range, key => {
+      const cell = this.cells.get(key);
+      if (cell) cell.push(box);
+      else this.cells.set(key, [box]);
+    });
+  }
+
+  /**
+   * Boxes that may overlap the given bounds; any limit may be infinite
+   * @param {Object} bounds - minX, maxX, minY, maxY, minZ, maxZ
+   * @returns {Object[]}
+   */
+  query(bounds) {
+    if (this.boxes.length === 0) return [];
+
+    const range = this.getCellRange(bounds);
+    const found = new Set();
+    ['x', 'y', 'z'].forEach(axis => {
+      range.min[axis] = Math.max(range.min[axis], this.min[axis]);
+      range.max[axis] = Math.min(range.max[axis], this.max[axis]);
+    });
+
+    this.forEachCell(range, key => {
+      const cell = this.cells.get(key);
+      if (cell) cell.forEach(box => found.add(box));
+    });
+
+    return [...found];
+  }
+
+  forEachCell(range, callback) {
+    for (let x = range.min.x; x <= range.max.x; x++) {
+      for (let y = range.min.y; y <= range.max.y; y++) {
+        for (let z = range.min.z; z <= range.max.z; z++) {
+          callback(((x + CELL_OFFSET) * CELL_RANGE + (y + CELL_OFFSET)) * CELL_RANGE + (z + CELL_OFFSET));
+        }
+      }
+    }
+  }
+
+  getCellRange(bounds) {
+    const cell = value => Math.floor(value / this.cellSize);
+    return {
+      min: { x: cell(bounds.minX - TOLERANCE), y: cell(bounds.minY - TOLERANCE), z: cell(bounds.minZ - TOLERANCE) },
+      max: { x: cell(bounds.maxX + TOLERANCE), y: cell(bounds.maxY + TOLERANCE), z: cell(bounds.maxZ + TOLERANCE) }
+    };
+  }
+
+  getBounds(box) {
+    return {
+      minX: box.x - box.width / 2,
+      maxX: box.x + box.width / 2,
+      minY: box.y - box.height / 2,
+      maxY: box.y + box.height / 2,
+      minZ: box.z - box.depth / 2,
+      maxZ: box.z + box.depth / 2
+    };
+  }
+}
+
+/**
+ * The boxes in a list that may overlap the given bounds: a SpatialGrid is
+ * searched cell by cell, a plain array is returned whole
+ * @param {Object[]|SpatialGrid} boxes
+ * @param {Object} bounds - minX, maxX, minY, maxY, minZ, maxZ
+ */
+export function getNearbyBoxes(boxes, bounds) {
+  return boxes instanceof SpatialGrid ? boxes.query(bounds) : boxes;
+}
@@ -1,5 +1,15 @@
+import { DEFAULT_INCREMENTS, convertLength, convertVolume, formatDimensions } from './units.js';
+
 export class AppState {
   constructor() {
+    // Unit of every length in the project (a key of UNITS in units.js); switching it
+    // converts all lengths, see setUnits
+    this.units = 'in';
+    
+    // Step the optimized container is rounded up to, per unit, so switching back
+    // restores the step chosen for that unit
+    this.roundingIncrements = { ...DEFAULT_INCREMENTS };
+    
     // Container constraints - null means unconstrained (will be optimized)
     this.containerConstraints = {
       width: null,
@@ -14,10 +24,93 @@ export class AppState {
       depth: 20
     };
     
-    this.allowRotation = true;
+    // Maximum total weight of the custom container (null = no limit)
+    this.containerPayload = null;
+    
+    // 'custom' sizes the container from the constraints above, 'catalog' picks from stock sizes
+    this.containerMode = 'custom';
+    
+    // Stock container types (inner dimensions, cost per container, max payload)
+    this.containerCatalog = [
+      { id: 1, name: 'Small carton', width: 12, height: 12, depth: 12, cost: 2, maxPayload: 30 },
+      { id: 2, name: 'Medium carton', width: 18, height: 18, depth: 24, cost: 4, maxPayload: 50 },
+      { id: 3, name: 'Large crate', width: 40, height: 40, depth: 48, cost: 25, maxPayload: 500 }
+    ];
+    this.nextCatalogId = 4;
+    
+    // Containers of the current result, one per container index (empty = just `container`)
+    this.containers = [];
+    
+    // Minimum horizontal gap between boxes, clearance from the side walls, and whether
+    // to report the dunnage volume needed to fill the gaps
+    this.clearance = {
+      boxGap: 0,
+      wallClearance: 0,
+      reportVoidFill: false
+    };
+    
+    // Keep-out zones inside the custom container (wheel arches, posts, door frames).
+    // x/y/z place the zone's corner from the container's back-left floor corner;
+    // allowOnTop lets boxes rest on the zone
+    this.keepOutZones = [];
+    this.nextZoneId = 1;
+    
+    // Face of the container that opens: 'front' (+Z), 'back' (-Z), 'left' (-X) or 'right' (+X)
+    this.containerDoor = 'front';
+    
+    // Multi-stop delivery: pack so that each stop's boxes can be unloaded through the door
+    // without moving boxes for later stops
+    this.deliveryMode = false;
+    
+    // With all three dimensions locked, keep filling copies of the container until every box is placed
+    this.multiContainer = false;
+    
+    // Packing heuristic name from packing/strategies.js, or 'auto' to try them all
+    this.packingStrategy = 'auto';
+    
+    // What the container search minimizes: a preset name from packing/objectives.js, or
+    // 'weighted' to combine the measures with these weights
+    this.objective = {
+      name: 'volume',
+      weights: { volume: 1, height: 0, footprint: 0, surface: 0 }
+    };
+    
+    // Optional metaheuristic improvement phase run after the container search
+    this.improvement = {
+      method: 'none', // 'none' | 'annealing' | 'genetic'
+      iterations: 500,
+      timeLimitSeconds: 5 // null = no limit, the iterations alone end the phase
+    };
+    
+    // Wall-clock limit for the whole optimization in seconds (null = no limit);
+    // when it runs out the best layout found so far is kept
+    this.timeBudgetSeconds = null;
+    
+    // Seed for the optimizer's random choices (null = a new one every run). Each result
+    // reports the seed it used, so a layout can be regenerated exactly
+    this.seed = null;
+    
+    // Weight distribution: the load's center of gravity must stay inside a centered
+    // region of the floor (percent of width/depth); axle positions are measured from the back wall
+    this.balance = {
+      enabled: false,
+      regionWidth: 50,
+      regionDepth: 50,
+      axlesEnabled: false,
+      frontAxle: 0,
+      rearAxle: 20,
+      frontAxleLimit: null,
+      rearAxleLimit: null
+    };
 
+    // shape: 'box' or 'cylinder' (upright: width = depth = diameter, height = length);
+    // weight: per box; maxLoad: weight the box's top can bear (null = no limit);
+    // rotation: allowed orientations, a rule name from packing/orientations.js;
+    // stackable: other boxes may rest on it; onlyOnSameType: rests on the floor or its own type only;
+    // maxStack: most boxes in a column through a box of this type (null = no limit);
+    // stop: delivery stop number, 1 is unloaded first (null = stays on board)
     this.boxes = [
-      { id: 1, width: 1, height: 1, depth: 1, quantity: 1 }
+      { id: 1, shape: 'box', width: 1, height: 1, depth: 1, quantity: 1, weight: 1, maxLoad: null, rotation: 'any', stackable: true, onlyOnSameType: false, maxStack: null, stop: null }
     ];
     
     this.placedBoxes = []; // Result of optimization
@@ -44,15 +137,209 @@ export class AppState {
     this.notify();
   }
   
+  // Update the custom container's payload limit (null = no limit)
+  updateContainerPayload(payload) {
+    this.containerPayload = payload;
+    this.notify();
+  }
+  
   // Update container dimensions (result of optimization)
   updateContainer(dimensions) {
     this.container = { ...this.container, ...dimensions };
     this.notify();
   }
 
-  // Toggle rotation setting
-  setAllowRotation(allow) {
-    this.allowRotation = allow;
+  // Toggle multi-container mode
+  setMultiContainer(enabled) {
+    this.multiContainer = enabled;
+    this.notify();
+  }
+  
+  // Containers of the current result, indexed by each placed box's containerIndex
+  getContainers() {
+    return this.containers.length > 0 ? this.containers : [this.container];
+  }
+  
+  // Number of containers used by the current result
+  getContainerCount() {
+    return this.getContainers().length;
+  }
+  
+  // Update gap and clearance settings
+  updateClearance(settings) {
+    this.clearance = { ...this.clearance, ...settings };
+    this.notify();
+  }
+  
+  // Add a keep-out zone
+  addKeepOutZone() {
+    this.keepOutZones.push({
+      id: this.nextZoneId++,
+      x: 0,
+      y: 0,
+      z: 0,
+      width: 1,
+      height: 1,
+      depth: 1,
+      allowOnTop: false
+    });
+    this.notify();
+  }
+  
+  // Update a keep-out zone
+  updateKeepOutZone(id, updates) {
+    const zone = this.keepOutZones.find(z => z.id === id);
+    if (zone) {
+      Object.assign(zone, updates);
+      this.notify();
+    }
+  }
+  
+  // Remove a keep-out zone
+  removeKeepOutZone(id) {
+    this.keepOutZones = this.keepOutZones.filter(z => z.id !== id);
+    this.notify();
+  }
+  
+  // Set which face of the container is the door
+  setContainerDoor(door) {
+    this.containerDoor = door;
+    this.notify();
+  }
+  
+  // Toggle multi-stop delivery mode
+  setDeliveryMode(enabled) {
+    this.deliveryMode = enabled;
+    this.notify();
+  }
+  
+  // Switch between custom container sizing and the stock catalog
+  setContainerMode(mode) {
+    this.containerMode = mode;
+    this.notify();
+  }
+  
+  // Add a stock container type to the catalog
+  addCatalogEntry() {
+    this.containerCatalog.push({
+      id: this.nextCatalogId++,
+      name: `Container ${this.nextCatalogId - 1}`,
+      width: 20,
+      height: 10,
+      depth: 20,
+      cost: 1,
+      maxPayload: null
+    });
+    this.notify();
+  }
+  
+  // Update a stock container type
+  updateCatalogEntry(id, updates) {
+    const entry = this.containerCatalog.find(e => e.id === id);
+    if (entry) {
+      Object.assign(entry, updates);
+      this.notify();
+    }
+  }
+  
+  // Remove a stock container type
+  removeCatalogEntry(id) {
+    this.containerCatalog = this.containerCatalog.filter(e => e.id !== id);
+    this.notify();
+  }
+
+  // Select the packing strategy
+  setPackingStrategy(strategy) {
+    this.packingStrategy = strategy;
+    this.notify();
+  }
+  
+  // Update the optimization objective (name and/or weights)
+  updateObjective(settings) {
+    this.objective = { ...this.objective, ...settings };
+    this.notify();
+  }
+  
+  // Update improvement phase settings
+  updateImprovement(settings) {
+    this.improvement = { ...this.improvement, ...settings };
+    this.notify();
+  }
+  
+  // Set the overall optimization time limit (null = no limit)
+  setTimeBudget(seconds) {
+    this.timeBudgetSeconds = seconds;
+    this.notify();
+  }
+  
+  // Fix the optimizer's seed (null = random every run)
+  setSeed(seed) {
+    this.seed = seed;
+    this.notify();
+  }
+  
+  // Switch the project unit, converting every length (settings, boxes and the current result)
+  setUnits(units) {
+    const from = this.units;
+    if (units === from) return;
+    
+    const length = value => (typeof value === 'number' ? convertLength(value, from, units) : value);
+    const convert = (item, keys) => {
+      keys.forEach(key => { item[key] = length(item[key]); });
+      return item;
+    };
+    const dimensions = ['width', 'height', 'depth'];
+    const position = ['x', 'y', 'z'];
+    
+    convert(this.containerConstraints, dimensions);
+    convert(this.container, dimensions);
+    this.containers.forEach(container => convert(container, dimensions));
+    convert(this.clearance, ['boxGap', 'wallClearance']);
+    this.containerCatalog.forEach(entry => convert(entry, dimensions));
+    this.keepOutZones.forEach(zone => convert(zone, [...position, ...dimensions]));
+    convert(this.balance, ['frontAxle', 'rearAxle']);
+    this.boxes.forEach(box => convert(box, dimensions));
+    this.placedBoxes.forEach(box => convert(box, [...position, ...dimensions]));
+    
+    const stats = this.optimizationStats;
+    if (stats && stats.containerSize) {
+      stats.containerSize = formatDimensions(this.container, units);
+      if (stats.voidFill) {
+        stats.voidFill = {
+          volume: convertVolume(stats.voidFill.volume, from, units),
+          loadSpace: convertVolume(stats.voidFill.loadSpace, from, units)
+        };
+      }
+      if (stats.lowerBound && stats.lowerBound.measure === 'volume') {
+        stats.lowerBound = {
+          ...stats.lowerBound,
+          bound: convertVolume(stats.lowerBound.bound, from, units),
+          achieved: convertVolume(stats.lowerBound.achieved, from, units)
+        };
+      }
+      (stats.balance || []).forEach(report => {
+        if (report) convert(report.centerOfGravity, position);
+      });
+    }
+    
+    this.units = units;
+    this.notify();
+  }
+  
+  // Step the optimized container is rounded up to, in the project unit
+  getRoundingIncrement() {
+    return this.roundingIncrements[this.units];
+  }
+  
+  // Set the rounding step for the current unit
+  setRoundingIncrement(increment) {
+    this.roundingIncrements = { ...this.roundingIncrements, [this.units]: increment };
+    this.notify();
+  }
+  
+  // Update weight distribution settings
+  updateBalance(settings) {
+    this.balance = { ...this.balance, ...settings };
     this.notify();
   }
   
@@ -65,10 +352,18 @@ export class AppState {
   addBox() {
     this.boxes.push({
       id: this.nextBoxId++,
+      shape: 'box',
       width: 1,
       height: 1,
       depth: 1,
-      quantity: 1
+      quantity: 1,
+      weight: 1,
+      maxLoad: null,
+      rotation: 'any',
+      stackable: true,
+      onlyOnSameType: false,
+      maxStack: null,
+      stop: null
     });
     this.notify();
   }
@@ -95,8 +390,9 @@ export class AppState {
   }
   
   // Set the optimization result
-  setPlacedBoxes(placedBoxes, stats) {
+  setPlacedBoxes(placedBoxes, stats, containers = []) {
     this.placedBoxes = placedBoxes;
+    this.containers = containers;
     this.optimizationStats = stats;
     this.isOptimizing = false;
     this.notify();
@@ -108,23 +404,106 @@ export class AppState {
     this.notify();
   }
   
-  // Get all boxes expanded by quantity
-  getExpandedBoxes() {
-    const expanded = [];
-    let instanceId = 0;
+  // Show the best layout so far while the optimization is still running
+  setProgressLayout(placedBoxes, container, containers) {
+    this.container = { ...this.container, ...container };
+    this.placedBoxes = placedBoxes;
+    this.containers = containers;
+    this.notify();
+  }
+  
+  // Optimization stopped before it produced any layout
+  cancelOptimization() {
+    this.isOptimizing = false;
+    this.notify();
+  }
+  
+  // Everything the user has set up, as plain data for saving to a file
+  getConfig() {
+    return {
+      version: 1,
+      units: this.units,
+      roundingIncrements: { ...this.roundingIncrements },
+      containerConstraints: { ...this.containerConstraints },
+      containerPayload: this.containerPayload,
+      containerMode: this.containerMode,
+      containerCatalog: this.containerCatalog.map(entry => ({ ...entry })),
+      containerDoor: this.containerDoor,
+      clearance: { ...this.clearance },
+      keepOutZones: this.keepOutZones.map(zone => ({ ...zone })),
+      multiContainer: this.multiContainer,
+      deliveryMode: this.deliveryMode,
+      packingStrategy: this.packingStrategy,
+      objective: { ...this.objective, weights: { ...this.objective.weights } },
+      improvement: { ...this.improvement },
+      timeBudgetSeconds: this.timeBudgetSeconds,
+      seed: this.seed,
+      balance: { ...this.balance },
+      boxes: this.boxes.map(box => ({ ...box }))
+    };
+  }
+  
+  // Restore a saved configuration; settings missing from older files keep their current values
+  loadConfig(config) {
+    if (!config || !Array.isArray(config.boxes)) {
+      throw new Error('Not a Pack3D configuration file');
+    }
     
-    this.boxes.forEach(boxDef => {
-      for (let i = 0; i < boxDef.quantity; i++) {
-        expanded.push({
-          instanceId: instanceId++,
-          definitionId: boxDef.id,
-          width: boxDef.width,
-          height: boxDef.height,
-          depth: boxDef.depth
-        });
-      }
+    ['units', 'containerPayload', 'containerMode', 'containerDoor', 'multiContainer', 'deliveryMode', 'packingStrategy', 'timeBudgetSeconds', 'seed'].forEach(key => {
+      if (config[key] !== undefined) this[key] = config[key];
     });
+    ['roundingIncrements', 'containerConstraints', 'clearance', 'objective', 'improvement', 'balance'].forEach(key => {
+      if (config[key]) this[key] = { ...this[key], ...config[key] };
+    });
+    
+    // New boxes pick up defaults for fields added since the file was saved
+    const defaults = { shape: 'box', weight: 1, maxLoad: null, rotation: 'any', stackable: true, onlyOnSameType: false, maxStack: null, stop: null };
+    this.boxes = config.boxes.map(box => ({ ...defaults, ...box }));
+    if (Array.isArray(config.containerCatalog)) this.containerCatalog = config.containerCatalog;
+    if (Array.isArray(config.keepOutZones)) this.keepOutZones = config.keepOutZones;
     
-    return expanded;
+    const nextId = list => list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    this.nextBoxId = nextId(this.boxes);
+    this.nextCatalogId = nextId(this.containerCatalog);
+    this.nextZoneId = nextId(this.keepOutZones);
+    
+    // A previous result no longer matches the loaded boxes
+    this.placedBoxes = [];
+    this.containers = [];
+    this.optimizationStats = null;
+    this.notify();
+  }
+  
+  // The current setup as options for pack() (packing/pack.js)
+  getPackOptions() {
+    const { method, iterations, timeLimitSeconds } = this.improvement;
+    const balance = this.balance;
+    
+    return {
+      units: this.units,
+      roundingIncrement: this.getRoundingIncrement(),
+      constraints: { ...this.containerConstraints },
+      strategy: this.packingStrategy,
+      objective: this.objective.name === 'weighted' ? { ...this.objective.weights } : this.objective.name,
+      multiContainer: this.multiContainer && this.getConstrainedDimensionCount() === 3,
+      catalog: this.containerMode === 'catalog' ? this.containerCatalog : null,
+      maxPayload: this.containerPayload,
+      deliveryMode: this.deliveryMode,
+      ...this.clearance,
+      keepOutZones: this.containerMode === 'custom' ? this.keepOutZones : [],
+      door: this.containerDoor,
+      improvement: { method, iterations, timeLimitMs: timeLimitSeconds ? timeLimitSeconds * 1000 : null },
+      timeBudgetMs: this.timeBudgetSeconds ? this.timeBudgetSeconds * 1000 : null,
+      seed: this.seed,
+      balance: balance.enabled ? {
+        region: { width: balance.regionWidth / 100, depth: balance.regionDepth / 100 },
+        axles: balance.axlesEnabled ? {
+          frontPosition: balance.frontAxle,
+          rearPosition: balance.rearAxle,
+          frontLimit: balance.frontAxleLimit,
+          rearLimit: balance.rearAxleLimit
+        } : null
+      } : null
+    };
   }
 }
@@ -0,0 +1,101 @@
+// Units of length for a project. Every dimension in the app state is stored in
+// the project's unit; switching units converts them all (see AppState.setUnits).
+// meters: size of one unit; step: spin-button step of dimension inputs;
+// decimals: places shown in results; increments: container rounding choices
+export const UNITS = {
+  mm: {
+    label: 'Millimeters (mm)',
+    meters: 0.001,
+    step: 1,
+    decimals: 1,
+    increments: [
+      { value: 1, label: '1 mm' },
+      { value: 5, label: '5 mm' },
+      { value: 10, label: '10 mm' },
+      { value: 50, label: '50 mm' }
+    ]
+  },
+  cm: {
+    label: 'Centimeters (cm)',
+    meters: 0.01,
+    step: 0.1,
+    decimals: 2,
+    increments: [
+      { value: 0.1, label: '1 mm' },
+      { value: 0.5, label: '0.5 cm' },
+      { value: 1, label: '1 cm' },
+      { value: 5, label: '5 cm' }
+    ]
+  },
+  m: {
+    label: 'Meters (m)',
+    meters: 1,
+    step: 0.001,
+    decimals: 3,
+    increments: [
+      { value: 0.001, label: '1 mm' },
+      { value: 0.01, label: '1 cm' },
+      { value: 0.05, label: '5 cm' },
+      { value: 0.1, label: '10 cm' }
+    ]
+  },
+  in: {
+    label: 'Inches (in)',
+    meters: 0.0254,
+    step: 0.0625,
+    decimals: 3,
+    increments: [
+      { value: 0.0625, label: '1/16 in' },
+      { value: 0.125, label: '1/8 in' },
+      { value: 0.25, label: '1/4 in' },
+      { value: 0.5, label: '1/2 in' },
+      { value: 1, label: '1 in' }
+    ]
+  },
+  ft: {
+    label: 'Feet (ft)',
+    meters: 0.3048,
+    step: 0.01,
+    decimals: 3,
+    increments: [
+      { value: 1 / 96, label: '1/8 in' },
+      { value: 1 / 12, label: '1 in' },
+      { value: 0.25, label: '3 in' },
+      { value: 0.5, label: '6 in' },
+      { value: 1, label: '1 ft' }
+    ]
+  }
+};
+
+// Container rounding used until the user picks another, per unit
+export const DEFAULT_INCREMENTS = { mm: 10, cm: 1, m: 0.01, in: 0.125, ft: 1 / 12 };
+
+// Conversions keep 12 significant digits, so 1 in -> 25.4 mm -> 1 in comes back exact
+const clean = value => parseFloat(value.toPrecision(12));
+
+export function convertLength(value, from, to) {
+  return clean(value * UNITS[from].meters / UNITS[to].meters);
+}
+
+export function convertVolume(value, from, to) {
+  return clean(value * Math.pow(UNITS[from].meters / UNITS[to].meters, 3));
+}
+
+// A length for display, e.g. "12.5 in"
+export function formatLength(value, unit) {
+  return `${formatNumber(value, unit)} ${unit}`;
+}
+
+// Container or box dimensions for display, e.g. "48 × 40 × 36 in"
+export function formatDimensions({ width, height, depth }, unit) {
+  return `${[width, height, depth].map(value => formatNumber(value, unit)).join(' × ')} ${unit}`;
+}
+
+// A volume for display, e.g. "1.25 m³"
+export function formatVolume(value, unit) {
+  return `${formatNumber(value, unit)} ${unit}³`;
+}
+
+export function formatNumber(value, unit) {
+  return parseFloat(value.toFixed(UNITS[unit].decimals));
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pack } from '../src/index.js';
+
+const CATALOG = [
+  { id: 1, name: 'Small', width: 18, height: 12, depth: 9, cost: 3 },
+  { id: 2, name: 'Medium', width: 27, height: 12, depth: 18, cost: 4 },
+  { id: 3, name: 'Large', width: 36, height: 24, depth: 27, cost: 25 }
+];
+const BOXES = [{ width: 9, height: 12, depth: 9, quantity: 12, rotation: 'upright' }];
+
+test('several stock containers win when they cost less than one that holds everything', async () => {
+  const result = await pack(BOXES, { catalog: CATALOG, seed: 1 });
+
+  assert.equal(result.unplacedBoxes.length, 0);
+  assert.deepEqual(result.catalogSelection.entries.map(({ name, count }) => ({ name, count })), [{ name: 'Medium', count: 2 }]);
+  assert.equal(result.catalogSelection.totalCost, 8);
+});
+
+test('a single stock container wins when no combination costs less', async () => {
+  const catalog = CATALOG.map(entry => (entry.name === 'Large' ? { ...entry, cost: 5 } : entry));
+  const result = await pack(BOXES, { catalog, seed: 1 });
+
+  assert.equal(result.unplacedBoxes.length, 0);
+  assert.equal(result.containers.length, 1);
+  assert.equal(result.catalogSelection.entries[0].name, 'Large');
+  assert.equal(result.catalogSelection.totalCost, 5);
+});
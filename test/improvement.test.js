@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pack } from '../src/index.js';
+
+// Ten different boxes the constructive search leaves room around
+const order = [
+  [11, 2, 7], [2, 11, 8], [8, 4, 5], [9, 4, 3], [11, 8, 12],
+  [13, 6, 10], [5, 10, 8], [12, 9, 2], [13, 6, 14], [12, 7, 11]
+].map(([width, height, depth], index) => ({ id: index + 1, width, height, depth }));
+
+const packWith = method => pack(order, {
+  units: 'cm',
+  roundingIncrement: 1,
+  seed: 1,
+  improvement: { method, iterations: 300, timeLimitMs: null }
+});
+
+test('annealing finds a smaller container than the constructive search', async () => {
+  const constructive = await packWith('none');
+  const annealed = await packWith('annealing');
+
+  assert.equal(annealed.unplacedBoxes.length, 0);
+  assert.ok(
+    annealed.stats.volumeUtilization > constructive.stats.volumeUtilization,
+    `${annealed.stats.volumeUtilization}% is no better than ${constructive.stats.volumeUtilization}%`
+  );
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { pack } from '../src/index.js';
+
+const cli = fileURLToPath(new URL('../bin/pack3d.js', import.meta.url));
+const boxes = [{ id: 1, width: 5, height: 5, depth: 5, quantity: 2 }];
+
+// Exit status and error output of pack3d on a JSON order read from standard input
+function runCli(order) {
+  const { status, stderr } = spawnSync(process.execPath, [cli, '-'], { input: JSON.stringify(order), encoding: 'utf8' });
+  return { status, stderr };
+}
+
+test('pack() turns away an unknown strategy before any search', async () => {
+  await assert.rejects(pack(boxes, { strategy: 'bogus' }), RangeError);
+});
+
+test('pack() turns away objectives without weights to minimize', async () => {
+  await assert.rejects(pack(boxes, { objective: 'weighted' }), RangeError);
+  await assert.rejects(pack(boxes, { objective: 'smallest' }), RangeError);
+  await assert.rejects(pack(boxes, { objective: { volume: 0 } }), RangeError);
+  await assert.rejects(pack(boxes, { objective: { weight: 1 } }), RangeError);
+});
+
+test('pack() minimizes the weights it is given', async () => {
+  const result = await pack(boxes, { objective: { height: 1, footprint: 0 }, seed: 1 });
+
+  assert.deepEqual(result.stats.run.objective, { height: 1 });
+});
+
+test('pack3d reports bad boxes and names in an order file as bad input', () => {
+  for (const order of [
+    { boxes, packingStrategy: 'bogus' },
+    { boxes, objective: { name: 'bogus' } },
+    { boxes: [{ id: 1, width: -5, height: 5, depth: 5 }] },
+    { boxes: [{ id: 1, width: 5, height: 5, depth: 5, quantity: 1.5 }] }
+  ]) {
+    const { status, stderr } = runCli(order);
+    assert.equal(status, 2, stderr);
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pack } from '../src/index.js';
+
+test('a load already on the rounding increment keeps its exact size', async () => {
+  const result = await pack([{ width: 10, height: 7, depth: 10 }], { units: 'cm', roundingIncrement: 1, seed: 1 });
+
+  assert.equal(result.unplacedBoxes.length, 0);
+  assert.deepEqual(
+    { width: result.container.width, height: result.container.height, depth: result.container.depth },
+    { width: 10, height: 7, depth: 10 }
+  );
+});
+
+test('free dimensions are rounded up from the load to the next increment', async () => {
+  const result = await pack([{ width: 10.05, height: 10, depth: 10 }], { units: 'in', roundingIncrement: 0.125, seed: 1 });
+
+  const sizes = [result.container.width, result.container.height, result.container.depth].sort((a, b) => a - b);
+  assert.deepEqual(sizes, [10, 10, 10.125]);
+});
+
+// Far faces of the load, measured from the back-left corner of the floor
+function getLoadSize({ container, placedBoxes }) {
+  const farFace = (axis, size) => Math.max(...placedBoxes.map(box => box[axis] + box[size] / 2));
+  return {
+    width: farFace('x', 'width') + container.width / 2,
+    height: farFace('y', 'height'),
+    depth: farFace('z', 'depth') + container.depth / 2
+  };
+}
+
+const order = [
+  { width: 9, height: 4, depth: 8, quantity: 17 },
+  { width: 12, height: 12, depth: 6, quantity: 13 },
+  { width: 9, height: 10, depth: 7, quantity: 10 }
+];
+
+for (const [name, options] of [
+  ['a packing kept from the search', {}],
+  ['a run out of time', { timeBudgetMs: 500 }]
+]) {
+  test(`${name} is cut to its load`, async () => {
+    const result = await pack(order, { units: 'cm', roundingIncrement: 1, seed: 1, ...options });
+
+    assert.equal(result.unplacedBoxes.length, 0);
+    assert.deepEqual(
+      { width: result.container.width, height: result.container.height, depth: result.container.depth },
+      getLoadSize(result)
+    );
+  });
+}